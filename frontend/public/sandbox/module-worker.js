@@ -0,0 +1,173 @@
+/* eslint-disable no-restricted-globals */
+// Runtime for modules running with "isolation": "worker".
+// Served as-is from public/ so it runs without the app bundle. The module's
+// entry default-exports a class constructed as new Module(id, api, config);
+// the api below is the only way it can reach the host.
+
+let instance = null;
+let moduleId = null;
+let nextId = 0;
+let screen = { width: 0, height: 0 };
+const pendingRequests = new Map();
+const subscriptions = new Map();
+const requestHandlers = new Map();
+const tickListeners = new Set();
+
+const post = (message) => self.postMessage(message);
+
+const errorMessage = (error) => (error && error.message) || String(error);
+
+const api = {
+  get id() {
+    return moduleId;
+  },
+
+  get screen() {
+    return { ...screen };
+  },
+
+  sendMessage(to, message) {
+    post({ kind: 'send', to, message });
+  },
+
+  request(to, message, options = {}) {
+    const callId = ++nextId;
+    return new Promise((resolve, reject) => {
+      pendingRequests.set(callId, { resolve, reject });
+      post({ kind: 'request', callId, to, message, timeout: options.timeout });
+    });
+  },
+
+  handleRequest(type, handler) {
+    requestHandlers.set(type, handler);
+    post({ kind: 'register-handler', type });
+  },
+
+  publish(topic, data, options = {}) {
+    post({ kind: 'publish', topic, data, retain: Boolean(options.retain) });
+  },
+
+  subscribe(topic, handler) {
+    const subscriptionId = ++nextId;
+    subscriptions.set(subscriptionId, handler);
+    post({ kind: 'subscribe', subscriptionId, topic });
+    
+    return () => {
+      subscriptions.delete(subscriptionId);
+      post({ kind: 'unsubscribe', subscriptionId });
+    };
+  },
+
+  onTick(listener) {
+    tickListeners.add(listener);
+    if (tickListeners.size === 1) {
+      post({ kind: 'ticker', enabled: true });
+    }
+    
+    return () => {
+      tickListeners.delete(listener);
+      if (tickListeners.size === 0) {
+        post({ kind: 'ticker', enabled: false });
+      }
+    };
+  },
+
+  // Display objects are created and owned by the host; the module only
+  // ever holds their ids.
+  scene: {
+    create(type, props = {}) {
+      const objectId = ++nextId;
+      post({ kind: 'scene', op: 'create', objectId, objectType: type, props });
+      return objectId;
+    },
+    
+    update(objectId, props) {
+      post({ kind: 'scene', op: 'update', objectId, props });
+    },
+    
+    destroy(objectId) {
+      post({ kind: 'scene', op: 'destroy', objectId });
+    }
+  }
+};
+
+const handlers = {
+  async init({ moduleId: id, entryUrl, config, screen: initialScreen }) {
+    moduleId = id;
+    screen = initialScreen || screen;
+    
+    try {
+      const entry = await import(entryUrl);
+      if (typeof entry.default !== 'function') {
+        throw new Error('Sandboxed module entry must default-export a module class');
+      }
+      instance = new entry.default(moduleId, api, config);
+      post({ kind: 'ready' });
+    } catch (error) {
+      post({ kind: 'init-failed', error: errorMessage(error) });
+    }
+  },
+
+  async lifecycle({ callId, hook, args = [] }) {
+    try {
+      if (instance && typeof instance[hook] === 'function') {
+        await instance[hook](...args);
+      }
+      post({ kind: 'call-result', callId });
+    } catch (error) {
+      post({ kind: 'call-result', callId, error: errorMessage(error) });
+    }
+  },
+
+  async 'handle-request'({ callId, message, from }) {
+    try {
+      const handler = requestHandlers.get(message.type);
+      const data = await handler(message, { from });
+      post({ kind: 'call-result', callId, data });
+    } catch (error) {
+      post({ kind: 'call-result', callId, error: errorMessage(error) });
+    }
+  },
+
+  response({ callId, data, error }) {
+    const pending = pendingRequests.get(callId);
+    if (!pending) return;
+    
+    pendingRequests.delete(callId);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(data);
+    }
+  },
+
+  message({ from, message, id }) {
+    if (instance && typeof instance.receiveMessage === 'function') {
+      instance.receiveMessage(from, message, id);
+    }
+  },
+
+  topic({ subscriptionId, data, meta }) {
+    const handler = subscriptions.get(subscriptionId);
+    if (handler) {
+      handler(data, meta);
+    }
+  },
+
+  tick({ deltaTime, screen: currentScreen }) {
+    screen = currentScreen;
+    tickListeners.forEach(listener => listener(deltaTime));
+  }
+};
+
+self.onmessage = (event) => {
+  const handler = handlers[event.data.kind];
+  if (!handler) {
+    console.warn(`Unknown sandbox message: ${event.data.kind}`);
+    return;
+  }
+
+  Promise.resolve(handler(event.data)).catch((error) => {
+    post({ kind: 'error', error: errorMessage(error) });
+  });
+};
@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BusRecorder, downloadRecording, parseRecording } from '../core/communication/BusRecorder';
+import { useOrchestrator } from '../hooks/use-orchestrator';
+
+export const BusRecorderPanel = ({ isReplaying, onReplay, onExitReplay }) => {
+  const orchestrator = useOrchestrator();
+  const recorderRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!orchestrator) return undefined;
+    
+    const recorder = new BusRecorder(orchestrator);
+    recorderRef.current = recorder;
+    
+    return () => {
+      recorder.stop();
+      recorderRef.current = null;
+      setIsRecording(false);
+    };
+  }, [orchestrator]);
+
+  const handleStart = () => {
+    if (!recorderRef.current) return;
+    
+    recorderRef.current.start();
+    setIsRecording(true);
+    setRecording(null);
+  };
+
+  const handleStop = () => {
+    setRecording(recorderRef.current.stop());
+    setIsRecording(false);
+  };
+
+  const handleFileSelected = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      onReplay(parseRecording(await file.text()));
+      setError(null);
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  return (
+    <div className="bus-recorder">
+      <h3>Bus Recorder</h3>
+      
+      {isReplaying ? (
+        <div className="bus-recorder-status">Replaying a recorded session</div>
+      ) : (
+        <div className="bus-recorder-status">
+          {isRecording && 'Recording bus traffic...'}
+          {!isRecording && recording && `${recording.entries.length} events recorded${recording.truncated ? ' (truncated)' : ''}`}
+          {!isRecording && !recording && 'Not recording'}
+        </div>
+      )}
+      
+      <div className="module-controls">
+        {!isReplaying && !isRecording && (
+          <button className="control-btn" onClick={handleStart} disabled={!orchestrator}>
+            Record
+          </button>
+        )}
+        {isRecording && (
+          <button className="control-btn" onClick={handleStop}>
+            Stop
+          </button>
+        )}
+        {recording && !isRecording && (
+          <button className="control-btn" onClick={() => downloadRecording(recording)}>
+            Download
+          </button>
+        )}
+        {!isRecording && (
+          <button className="control-btn" onClick={() => fileInputRef.current.click()}>
+            Replay file...
+          </button>
+        )}
+        {isReplaying && (
+          <button className="control-btn" onClick={onExitReplay}>
+            Exit replay
+          </button>
+        )}
+      </div>
+      
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        style={{ display: 'none' }}
+        onChange={handleFileSelected}
+      />
+      
+      {error && <div className="module-error">{error}</div>}
+    </div>
+  );
+};
@@ -1,16 +1,55 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { CoreOrchestrator } from '../core/orchestrator/CoreOrchestrator';
 import { SpriteEngine } from '../core/sprite-engine/SpriteEngine';
+import {
+  LocalStorageConfigPresetStore,
+  LocalStoragePermissionStore,
+  LocalStorageSceneStore,
+  LocalStorageSessionStore
+} from '../core/orchestrator/SessionStore';
+import { replayRecording } from '../core/communication/BusRecorder';
+import { RemoteOrchestrator, serveOrchestrator } from '../core/communication/RemoteOrchestrator';
+import { WindowLink, WindowRole, isWindowLinkSupported } from '../core/communication/WindowLink';
+import { BusRecorderPanel } from './BusRecorderPanel';
 import { Header } from './Header';
+import { ModuleInspector } from './ModuleInspector';
 import { ModuleManager } from './ModuleManager';
+import { ModuleSettings } from './ModuleSettings';
 import { PerformanceMonitor } from './PerformanceMonitor';
+import { ScenePanel } from './ScenePanel';
+import { WindowLinkPanel, describeWindowStatus } from './WindowLinkPanel';
+import { OrchestratorContext } from '../hooks/use-orchestrator';
+
+const isDevelopment = process.env.NODE_ENV !== 'production';
+
+// Comma-separated manifest URLs for modules hosted outside the bundle
+const getExternalManifestUrls = () => {
+  return (process.env.REACT_APP_MODULE_MANIFESTS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+};
+
+// "?role=controller" opens a window that drives the display window's modules
+const getWindowRole = () => (
+  new URLSearchParams(window.location.search).get('role') === WindowRole.CONTROLLER
+    ? WindowRole.CONTROLLER
+    : WindowRole.DISPLAY
+);
 
 export const ModularApp = () => {
-  const canvasRef = useRef(null);
+  const canvasHostRef = useRef(null);
   const orchestratorRef = useRef(null);
-  const spriteEngineRef = useRef(null);
+  const teardownRef = useRef(Promise.resolve());
+  const [orchestrator, setOrchestrator] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
-  const [modules, setModules] = useState([]);
+  const [layers, setLayers] = useState([]);
+  const [settingsModuleId, setSettingsModuleId] = useState(null);
+  const [presetStore] = useState(() => new LocalStorageConfigPresetStore());
+  const [replaySource, setReplaySource] = useState(null);
+  const [windowRole] = useState(getWindowRole);
+  const [windowLink, setWindowLink] = useState(null);
+  const [linkState, setLinkState] = useState(null);
   const [performanceMetrics, setPerformanceMetrics] = useState({
     fps: 0,
     sprites: 0,
@@ -18,132 +57,313 @@ export const ModularApp = () => {
     loadTime: 0
   });
 
+  // Without BroadcastChannel every window renders on its own
+  const ownsRendering = windowRole === WindowRole.DISPLAY
+    && (!isWindowLinkSupported() || Boolean(linkState && linkState.isLeader));
+
   useEffect(() => {
+    if (!isWindowLinkSupported()) return undefined;
+    
+    const link = new WindowLink({ role: windowRole });
+    link.on('change', setLinkState);
+    link.start();
+    setWindowLink(link);
+    setLinkState(link.getState());
+    
+    return () => {
+      link.off('change', setLinkState);
+      link.close();
+      setWindowLink(null);
+      setLinkState(null);
+    };
+  }, [windowRole]);
+
+  // A controller mirrors the leading display window instead of running modules
+  useEffect(() => {
+    if (windowRole !== WindowRole.CONTROLLER || !windowLink) return undefined;
+    
+    const remote = new RemoteOrchestrator(windowLink);
+    const handleRemoteState = ({ connected }) => setIsInitialized(connected);
+    remote.on('remote-state-changed', handleRemoteState);
+    remote.on('layers-changed', setLayers);
+    orchestratorRef.current = remote;
+    setOrchestrator(remote);
+    
+    return () => {
+      remote.off('remote-state-changed', handleRemoteState);
+      remote.off('layers-changed', setLayers);
+      remote.close();
+      if (orchestratorRef.current === remote) {
+        orchestratorRef.current = null;
+      }
+      setOrchestrator(null);
+      setIsInitialized(false);
+      setLayers([]);
+    };
+  }, [windowRole, windowLink]);
+
+  useEffect(() => {
+    // Only the elected display window renders
+    if (!ownsRendering) return undefined;
+    
+    let disposed = false;
+    let canvas = null;
+    let spriteEngine = null;
+    let orchestrator = null;
+    let stopServing = null;
+    const replayAbort = new AbortController();
+    
     const initializeApp = async () => {
+      // StrictMode mounts twice; the first mount has to be gone before we start
+      await teardownRef.current;
+      if (disposed || !canvasHostRef.current) return;
+      
       try {
         const startTime = performance.now();
         
-        if (canvasRef.current) {
-          // Initialize sprite engine
-          spriteEngineRef.current = new SpriteEngine();
-          await spriteEngineRef.current.initialize(canvasRef.current);
-          
-          // Initialize orchestrator
-          orchestratorRef.current = new CoreOrchestrator();
-          await orchestratorRef.current.initialize(spriteEngineRef.current);
+        // Every engine renders into a canvas of its own and removes it on destroy
+        canvas = document.createElement('canvas');
+        canvas.className = 'sprite-canvas';
+        canvasHostRef.current.appendChild(canvas);
+        
+        // Initialize sprite engine
+        spriteEngine = new SpriteEngine();
+        await spriteEngine.initialize(canvas);
+        if (disposed) return;
+        
+        // Initialize orchestrator
+        orchestrator = new CoreOrchestrator({ redeliverDeadLetters: true });
+        orchestratorRef.current = orchestrator;
+        await orchestrator.initialize(spriteEngine, {
+          manifestUrls: getExternalManifestUrls()
+        });
+        if (disposed) return;
+        orchestrator.on('layers-changed', setLayers);
+        // Handed over before any module loads, so the sidebar and linked
+        // controllers show modules while they are still loading
+        setOrchestrator(orchestrator);
+        if (windowLink) {
+          stopServing = serveOrchestrator(windowLink, orchestrator);
+        }
+        orchestrator.attachSceneStore(new LocalStorageSceneStore());
+        // Earlier permission answers, so restored modules can start without asking again
+        await orchestrator.attachPermissionStore(new LocalStoragePermissionStore());
+        
+        // A replay starts from the recorded modules and leaves the saved session alone
+        if (!replaySource) {
+          // Bring back the modules, configs and layer order of the last visit
+          await orchestrator.attachSessionStore(new LocalStorageSessionStore());
           
           // Load initial modules
-          await loadInitialModules();
-          
-          const endTime = performance.now();
-          setPerformanceMetrics(prev => ({
-            ...prev,
-            loadTime: endTime - startTime
-          }));
-          
-          setIsInitialized(true);
+          await loadInitialModules(orchestrator);
+        }
+        if (disposed) return;
+        
+        const endTime = performance.now();
+        setPerformanceMetrics(prev => ({
+          ...prev,
+          loadTime: endTime - startTime
+        }));
+        
+        setIsInitialized(true);
+        
+        if (replaySource) {
+          const summary = await replayRecording(orchestrator, replaySource, {
+            speed: 1,
+            signal: replayAbort.signal
+          });
+          console.log('Bus replay finished:', summary);
         }
       } catch (error) {
         console.error('Failed to initialize modular app:', error);
       }
     };
 
-    initializeApp();
-  }, []);
-
-  const loadInitialModules = async () => {
-    try {
-      // Load demo modules
-      const demoModules = [
-        {
-          id: 'sprite-demo',
-          name: 'Sprite Demo',
-          description: 'Demonstrates basic sprite rendering and animation',
-          status: 'loading'
-        },
-        {
-          id: 'particle-system',
-          name: 'Particle System',
-          description: 'Advanced particle effects and visual systems',
-          status: 'loading'
-        },
-        {
-          id: 'ui-overlay',
-          name: 'UI Overlay',
-          description: 'Interactive UI elements over sprite canvas',
-          status: 'loading'
-        }
-      ];
-      
-      setModules(demoModules);
+    const teardown = async () => {
+      // The orchestrator unloads its modules and then destroys the engine
+      if (orchestrator) {
+        await orchestrator.shutdown();
+      } else if (spriteEngine) {
+        spriteEngine.destroy();
+      }
       
-      // Simulate module loading
-      for (let i = 0; i < demoModules.length; i++) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        setModules(prev => prev.map((module, index) => 
-          index === i ? { ...module, status: 'loaded' } : module
-        ));
+      if (canvas) {
+        canvas.remove();
+      }
+    };
+
+    const initialization = initializeApp();
+    
+    return () => {
+      disposed = true;
+      replayAbort.abort();
+      if (stopServing) {
+        stopServing();
+      }
+      if (orchestratorRef.current === orchestrator) {
+        orchestratorRef.current = null;
       }
+      setOrchestrator(null);
+      setIsInitialized(false);
+      setLayers([]);
+      teardownRef.current = initialization.then(teardown).catch((error) => {
+        console.error('Failed to shut down modular app:', error);
+      });
+    };
+  }, [replaySource, ownsRendering, windowLink]);
+
+  const loadInitialModules = async (orchestrator) => {
+    // Start with one instance per type unless the saved session brought some back
+    for (const { type } of orchestrator.getModuleTypes()) {
+      if (orchestrator.getInstances(type).length > 0) continue;
+      
+      // A failure is kept on the module's record and shows on its card
+      await orchestrator.spawnModule(type).catch(() => {});
+    }
+  };
+
+  const runModuleAction = async (description, action) => {
+    if (!orchestratorRef.current) return;
+    
+    try {
+      await action(orchestratorRef.current);
     } catch (error) {
-      console.error('Failed to load initial modules:', error);
+      console.error(`Failed to ${description}:`, error);
     }
   };
 
-  const handleModuleToggle = async (moduleId) => {
-    if (orchestratorRef.current) {
-      try {
-        await orchestratorRef.current.toggleModule(moduleId);
-        setModules(prev => prev.map(module => 
-          module.id === moduleId 
-            ? { ...module, status: module.status === 'active' ? 'loaded' : 'active' }
-            : module
-        ));
-      } catch (error) {
-        console.error(`Failed to toggle module ${moduleId}:`, error);
-      }
+  const handleModuleToggle = (moduleId) => runModuleAction(
+    `toggle module ${moduleId}`,
+    orchestrator => orchestrator.toggleModule(moduleId)
+  );
+
+  const handleSpawnModule = (moduleType) => runModuleAction(
+    `add ${moduleType} instance`,
+    orchestrator => orchestrator.spawnModule(moduleType)
+  );
+
+  const handleDuplicateModule = (moduleId) => runModuleAction(
+    `duplicate module ${moduleId}`,
+    orchestrator => orchestrator.duplicateModule(moduleId)
+  );
+
+  const handleRemoveModule = (moduleId) => {
+    if (settingsModuleId === moduleId) {
+      setSettingsModuleId(null);
     }
+    return runModuleAction(`remove module ${moduleId}`, orchestrator => orchestrator.unloadModule(moduleId));
   };
 
+  const handleEnableModule = (moduleId) => runModuleAction(
+    `enable module ${moduleId}`,
+    orchestrator => orchestrator.enableModule(moduleId)
+  );
+
+  const handleGrantPermissions = (moduleId) => runModuleAction(
+    `grant permissions to module ${moduleId}`,
+    orchestrator => orchestrator.grantPermissions(moduleId)
+  );
+
+  const handleDenyPermissions = (moduleId) => runModuleAction(
+    `deny permissions to module ${moduleId}`,
+    orchestrator => orchestrator.denyPermissions(moduleId)
+  );
+
+  const handleLayerReorder = (layerIds) => runModuleAction(
+    'reorder layers',
+    orchestrator => orchestrator.setLayerOrder(layerIds)
+  );
+
+  const handleLayerMove = (moduleId, position) => runModuleAction(
+    `move layer ${moduleId} to the ${position}`,
+    orchestrator => orchestrator.moveLayer(moduleId, position)
+  );
+
+  const handleLayerZIndexChange = (moduleId, zIndex) => runModuleAction(
+    `set z-index of layer ${moduleId}`,
+    orchestrator => orchestrator.setLayerZIndex(moduleId, zIndex)
+  );
+
   return (
-    <div className="modular-app">
-      <Header 
-        title="Modular Cross-Platform Application"
-        subtitle="React + PixiJS + Modular Architecture"
-        isInitialized={isInitialized}
-      />
-      
-      <div className="main-content">
-        <div className="sprite-container">
-          <canvas ref={canvasRef} className="sprite-canvas" />
-          {!isInitialized && (
-            <div className="canvas-overlay">
-              <div className="loading-spinner"></div>
-              <div style={{ marginTop: '12px' }}>Initializing Sprite Engine...</div>
-            </div>
-          )}
-          {isInitialized && (
-            <div className="canvas-overlay">
-              <div>Sprite Engine Active</div>
-              <div style={{ fontSize: '0.8rem', opacity: 0.8, marginTop: '4px' }}>
-                {performanceMetrics.sprites} sprites • {Math.round(performanceMetrics.fps)} FPS
-              </div>
-            </div>
-          )}
-        </div>
+    <OrchestratorContext.Provider value={orchestrator}>
+      <div className="modular-app">
+        <Header 
+          title="Modular Cross-Platform Application"
+          subtitle="React + PixiJS + Modular Architecture"
+          isInitialized={isInitialized}
+        />
         
-        <div className="module-sidebar">
-          <ModuleManager 
-            modules={modules}
-            onModuleToggle={handleModuleToggle}
-            isInitialized={isInitialized}
-          />
+        <div className="main-content">
+          <div className="sprite-container">
+            <div ref={canvasHostRef} className="sprite-canvas-host" />
+            {!ownsRendering && (
+              <div className="canvas-overlay">
+                <div>{linkState ? describeWindowStatus(linkState) : 'This browser cannot link windows'}</div>
+              </div>
+            )}
+            {ownsRendering && !isInitialized && (
+              <div className="canvas-overlay">
+                <div className="loading-spinner"></div>
+                <div style={{ marginTop: '12px' }}>Initializing Sprite Engine...</div>
+              </div>
+            )}
+            {ownsRendering && isInitialized && (
+              <div className="canvas-overlay">
+                <div>Sprite Engine Active</div>
+                <div style={{ fontSize: '0.8rem', opacity: 0.8, marginTop: '4px' }}>
+                  {performanceMetrics.sprites} sprites • {Math.round(performanceMetrics.fps)} FPS
+                </div>
+              </div>
+            )}
+          </div>
           
-          <PerformanceMonitor 
-            performance={performanceMetrics}
-            isInitialized={isInitialized}
-          />
+          <div className="module-sidebar">
+            <ModuleManager 
+              onModuleToggle={handleModuleToggle}
+              onOpenSettings={setSettingsModuleId}
+              onSpawnModule={handleSpawnModule}
+              onDuplicateModule={handleDuplicateModule}
+              onRemoveModule={handleRemoveModule}
+              onEnableModule={handleEnableModule}
+              onGrantPermissions={handleGrantPermissions}
+              onDenyPermissions={handleDenyPermissions}
+              isInitialized={isInitialized}
+              layers={layers}
+              onLayerReorder={handleLayerReorder}
+              onLayerMove={handleLayerMove}
+              onLayerZIndexChange={handleLayerZIndexChange}
+            />
+            
+            {linkState && <WindowLinkPanel linkState={linkState} />}
+            
+            {/* Tools below work on a local orchestrator */}
+            {ownsRendering && (
+              <>
+                <ScenePanel isInitialized={isInitialized} />
+                
+                <PerformanceMonitor 
+                  performance={performanceMetrics}
+                  isInitialized={isInitialized}
+                />
+                
+                {isDevelopment && <ModuleInspector />}
+                
+                <BusRecorderPanel
+                  isReplaying={Boolean(replaySource)}
+                  onReplay={setReplaySource}
+                  onExitReplay={() => setReplaySource(null)}
+                />
+              </>
+            )}
+          </div>
         </div>
+        
+        <ModuleSettings
+          moduleId={settingsModuleId}
+          presetStore={presetStore}
+          onClose={() => setSettingsModuleId(null)}
+        />
       </div>
-    </div>
+    </OrchestratorContext.Provider>
   );
 };
\ No newline at end of file
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { useBusEvents, useModules, useModuleTypes, useOrchestrator } from '../hooks/use-orchestrator';
+
+const INSPECTOR_ID = 'inspector';
+
+const describeTarget = (event) => (event.channel === 'topic-message' ? `#${event.topic}` : event.to);
+
+const describeType = (event) => {
+  if (event.channel === 'topic-message') return 'topic';
+  if (event.channel === 'system-event') return event.type;
+  return event.message ? event.message.type : '';
+};
+
+const matchesFilter = (event, filter) => {
+  if (!filter) return true;
+
+  const text = [event.from, describeTarget(event), describeType(event)].join(' ').toLowerCase();
+  return text.includes(filter.toLowerCase());
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour12: false });
+
+const ContractMessages = ({ title, messages }) => (
+  <div className="inspector-contract">
+    <div className="metric-label">{title}</div>
+    {messages === null && <div className="inspector-muted">Not checked</div>}
+    {messages !== null && messages.length === 0 && <div className="inspector-muted">None</div>}
+    {messages !== null && messages.map(({ type, fields }) => (
+      <div key={type} className="inspector-code">
+        <strong>{type}</strong>
+        {fields.length > 0 && ' { '}
+        {fields.map(field => `${field.name}${field.required ? '' : '?'}: ${field.type}`).join(', ')}
+        {fields.length > 0 && ' }'}
+      </div>
+    ))}
+  </div>
+);
+
+// Developer view of the orchestrator: registered types, instances and live bus traffic
+export const ModuleInspector = () => {
+  const orchestrator = useOrchestrator();
+  const moduleTypes = useModuleTypes();
+  const modules = useModules();
+  const busEvents = useBusEvents();
+  const [selectedId, setSelectedId] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [hideOrchestrator, setHideOrchestrator] = useState(false);
+  const [target, setTarget] = useState('');
+  const [messageType, setMessageType] = useState('');
+  const [payload, setPayload] = useState('{}');
+  const [sendError, setSendError] = useState(null);
+
+  const details = orchestrator && selectedId ? orchestrator.inspectModule(selectedId) : null;
+  const catalog = orchestrator ? orchestrator.getMessageCatalog() : [];
+  const targetModule = modules.find(module => module.id === target);
+  const targetContract = targetModule && catalog.find(entry => entry.type === targetModule.type);
+  const visibleEvents = busEvents
+    .filter(event => !hideOrchestrator || (event.from !== 'orchestrator' && event.to !== 'orchestrator'))
+    .filter(event => matchesFilter(event, filter));
+
+  const handleSend = (event) => {
+    event.preventDefault();
+    
+    try {
+      const data = payload.trim() ? JSON.parse(payload) : {};
+      orchestrator.sendMessage(INSPECTOR_ID, target, { ...data, type: messageType.trim() });
+      setSendError(null);
+    } catch (error) {
+      setSendError(`Invalid JSON payload: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="module-inspector">
+      <h3>Inspector</h3>
+      
+      <div className="inspector-section">
+        <h4>Registered Types</h4>
+        {moduleTypes.map(moduleType => (
+          <div key={moduleType.type} className="metric-item">
+            <span className="metric-label">{moduleType.type}</span>
+            <span className="inspector-muted">
+              {moduleType.versions.map(version => `v${version}`).join(', ')}
+            </span>
+          </div>
+        ))}
+      </div>
+      
+      <div className="inspector-section">
+        <h4>Message Contracts</h4>
+        {catalog.length === 0 && <div className="inspector-muted">No module type declares a message contract</div>}
+        {catalog.map(entry => (
+          <details key={entry.type} className="inspector-details">
+            <summary>{entry.type} <span className="inspector-muted">v{entry.version}</span></summary>
+            <ContractMessages title="Accepts" messages={entry.accepts} />
+            <ContractMessages title="Emits" messages={entry.emits} />
+          </details>
+        ))}
+      </div>
+      
+      <div className="inspector-section">
+        <h4>Instances</h4>
+        {modules.map(module => (
+          <button
+            key={module.id}
+            className={`inspector-row ${selectedId === module.id ? 'selected' : ''}`}
+            onClick={() => setSelectedId(selectedId === module.id ? null : module.id)}
+          >
+            <span>{module.id}</span>
+            <span className="inspector-muted">{module.status}</span>
+          </button>
+        ))}
+        
+        {details && (
+          <div className="inspector-details">
+            <div className="metric-item">
+              <span className="metric-label">Type</span>
+              <span>{details.type}{details.sandboxed ? ' (sandboxed)' : ''}</span>
+            </div>
+            <div className="metric-item">
+              <span className="metric-label">Status</span>
+              <span>{details.status}</span>
+            </div>
+            <div className="metric-item">
+              <span className="metric-label">Resources</span>
+              <span>
+                {Object.entries(details.resources).map(([kind, count]) => `${kind} ${count}`).join(', ') || 'none'}
+              </span>
+            </div>
+            <h4>Config</h4>
+            <pre className="inspector-code">{JSON.stringify(details.config, null, 2)}</pre>
+            <h4>Display Objects ({details.displayObjects.length}, {details.layerChildren} on layer)</h4>
+            {details.displayObjects.map((displayObject, index) => (
+              <div key={index} className="inspector-muted">
+                {displayObject.label} <span>({displayObject.scope})</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      
+      <div className="inspector-section">
+        <h4>Bus Traffic</h4>
+        <div className="inspector-filters">
+          <input
+            className="inspector-input"
+            placeholder="Filter by module, topic or type"
+            value={filter}
+            onChange={(event) => setFilter(event.target.value)}
+          />
+          <label className="inspector-muted">
+            <input
+              type="checkbox"
+              checked={hideOrchestrator}
+              onChange={(event) => setHideOrchestrator(event.target.checked)}
+            />
+            {' '}Hide orchestrator
+          </label>
+        </div>
+        <div className="inspector-stream">
+          {visibleEvents.length === 0 && <div className="inspector-muted">No messages yet</div>}
+          {[...visibleEvents].reverse().map(event => (
+            <div key={`${event.id}-${event.depth}`} className="inspector-message" title={JSON.stringify(event.message || event.data)}>
+              <span className="inspector-muted">{formatTime(event.timestamp)}</span>
+              {' '}{event.from} → {describeTarget(event)}
+              {' '}<strong>{describeType(event)}</strong>
+            </div>
+          ))}
+        </div>
+      </div>
+      
+      <form className="inspector-section" onSubmit={handleSend}>
+        <h4>Send Test Message</h4>
+        <select className="inspector-input" value={target} onChange={(event) => setTarget(event.target.value)}>
+          <option value="">Choose a module</option>
+          {modules.map(module => (
+            <option key={module.id} value={module.id}>{module.id}</option>
+          ))}
+        </select>
+        <input
+          className="inspector-input"
+          placeholder="Message type"
+          list="inspector-message-types"
+          value={messageType}
+          onChange={(event) => setMessageType(event.target.value)}
+        />
+        <datalist id="inspector-message-types">
+          {targetContract && targetContract.accepts && targetContract.accepts.map(({ type }) => (
+            <option key={type} value={type} />
+          ))}
+        </datalist>
+        <textarea
+          className="inspector-input inspector-code"
+          rows={3}
+          value={payload}
+          onChange={(event) => setPayload(event.target.value)}
+        />
+        <button className="control-btn" type="submit" disabled={!orchestrator || !target || !messageType.trim()}>
+          Send
+        </button>
+        {sendError && <div className="module-error">{sendError}</div>}
+      </form>
+    </div>
+  );
+};
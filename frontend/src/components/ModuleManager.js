@@ -1,11 +1,62 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { TRANSITIONAL_STATES } from '../core/orchestrator/ModuleLifecycle';
+import { PERMISSIONS } from '../core/orchestrator/ModulePermissions';
+import { useModules, useModuleTypes } from '../hooks/use-orchestrator';
+
+export const ModuleManager = ({
+  onModuleToggle,
+  onOpenSettings,
+  onSpawnModule,
+  onDuplicateModule,
+  onRemoveModule,
+  onEnableModule,
+  onGrantPermissions,
+  onDenyPermissions,
+  isInitialized,
+  layers = [],
+  onLayerReorder,
+  onLayerMove,
+  onLayerZIndexChange
+}) => {
+  const [draggedLayerId, setDraggedLayerId] = useState(null);
+  const moduleTypes = useModuleTypes();
+  const loadedModules = useModules();
+  
+  // Every registered type with the instances spawned from it
+  const moduleGroups = moduleTypes.map(moduleType => ({
+    moduleType,
+    instances: loadedModules.filter(module => module.type === moduleType.type)
+  }));
+  
+  // Buttons on a card act on the instance without toggling it
+  const withoutToggle = (action) => (event) => {
+    event.stopPropagation();
+    action();
+  };
+  
+  // Shown front to back, stored back to front
+  const layerStack = [...layers].reverse();
+  
+  const handleLayerDrop = (targetLayerId) => {
+    if (!draggedLayerId || draggedLayerId === targetLayerId) return;
+    
+    const ids = layerStack.map(layer => layer.id);
+    const movingDown = ids.indexOf(draggedLayerId) < ids.indexOf(targetLayerId);
+    const order = ids.filter(id => id !== draggedLayerId);
+    
+    // Dropped on a layer further down, the dragged one goes behind it; further up, in front
+    order.splice(order.indexOf(targetLayerId) + (movingDown ? 1 : 0), 0, draggedLayerId);
+    onLayerReorder(order.reverse());
+  };
 
-export const ModuleManager = ({ modules, onModuleToggle, isInitialized }) => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'loaded': return 'status-loaded';
       case 'active': return 'status-loaded';
       case 'loading': return 'status-loading';
+      case 'activating': return 'status-loading';
+      case 'deactivating': return 'status-loading';
+      case 'unloading': return 'status-loading';
       case 'error': return 'status-error';
       default: return 'status-loading';
     }
@@ -15,7 +66,11 @@ export const ModuleManager = ({ modules, onModuleToggle, isInitialized }) => {
     switch (status) {
       case 'loaded': return 'Ready';
       case 'active': return 'Active';
+      case 'registered': return 'Registered';
       case 'loading': return 'Loading...';
+      case 'activating': return 'Activating...';
+      case 'deactivating': return 'Deactivating...';
+      case 'unloading': return 'Unloading...';
       case 'error': return 'Error';
       default: return 'Unknown';
     }
@@ -25,37 +80,156 @@ export const ModuleManager = ({ modules, onModuleToggle, isInitialized }) => {
     <div>
       <h2>Module Manager</h2>
       
-      {modules.map((module) => (
-        <div 
-          key={module.id}
-          className={`module-card ${module.status === 'active' ? 'active' : ''}`}
-          onClick={() => isInitialized && onModuleToggle(module.id)}
-        >
-          <h3>{module.name}</h3>
-          <p>{module.description}</p>
-          
-          <div className="module-status">
-            <div className={`status-indicator ${getStatusColor(module.status)}`}></div>
-            <span>{getStatusText(module.status)}</span>
+      {moduleGroups.map(({ moduleType, instances }) => (
+        <div key={moduleType.type} className="module-type-group">
+          <div className="module-type-header">
+            <h3>{moduleType.name}</h3>
+            {isInitialized && (
+              <button className="control-btn" onClick={() => onSpawnModule(moduleType.type)}>
+                + Add
+              </button>
+            )}
           </div>
+          <p>{moduleType.description}</p>
           
-          {isInitialized && module.status !== 'loading' && (
-            <div className="module-controls">
-              <button className="control-btn">
-                {module.status === 'active' ? 'Deactivate' : 'Activate'}
-              </button>
-              <button className="control-btn">Settings</button>
+          {instances.map((module) => (
+            <div 
+              key={module.id}
+              className={`module-card ${module.status === 'active' ? 'active' : ''}`}
+              onClick={() => isInitialized
+                && !module.disabled
+                && !module.permissions.pending
+                && !TRANSITIONAL_STATES.has(module.status)
+                && onModuleToggle(module.id)}
+            >
+              <h3>{module.name}</h3>
+              
+              <div className="module-status">
+                <div className={`status-indicator ${getStatusColor(module.status)}`}></div>
+                <span>{module.disabled ? 'Disabled' : getStatusText(module.status)}</span>
+              </div>
+              
+              {module.status === 'error' && module.error && (
+                <div className="module-error">
+                  <div>{module.error}</div>
+                  {module.restartPending && (
+                    <div className="module-error-restart">
+                      Restarting (attempt {module.restartAttempts} of {module.restartPolicy.maxRestarts})...
+                    </div>
+                  )}
+                </div>
+              )}
+              
+              {module.permissions.pending && (
+                <div className="module-permissions-request">
+                  <div>This module asks for:</div>
+                  <ul>
+                    {module.permissions.requested.map(permission => (
+                      <li key={permission}>
+                        <strong>{PERMISSIONS[permission].label}</strong> – {PERMISSIONS[permission].description}
+                      </li>
+                    ))}
+                  </ul>
+                  {isInitialized && (
+                    <div className="module-controls">
+                      <button className="control-btn" onClick={withoutToggle(() => onGrantPermissions(module.id))}>
+                        Allow
+                      </button>
+                      <button className="control-btn" onClick={withoutToggle(() => onDenyPermissions(module.id))}>
+                        Deny
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+              
+              {!module.permissions.pending && module.permissions.requested.length > 0 && (
+                <div className="module-permissions">
+                  {module.permissions.requested.map(permission => (
+                    <span
+                      key={permission}
+                      className={module.permissions.granted.includes(permission) ? 'granted' : 'denied'}
+                    >
+                      {PERMISSIONS[permission].label}
+                    </span>
+                  ))}
+                </div>
+              )}
+              
+              {isInitialized && !TRANSITIONAL_STATES.has(module.status) && (
+                <div className="module-controls">
+                  {module.disabled && (
+                    <button className="control-btn" onClick={withoutToggle(() => onEnableModule(module.id))}>
+                      Enable
+                    </button>
+                  )}
+                  {!module.disabled && !module.permissions.pending && (
+                    <button className="control-btn">
+                      {module.status === 'active' ? 'Deactivate' : 'Activate'}
+                    </button>
+                  )}
+                  <button className="control-btn" onClick={withoutToggle(() => onOpenSettings(module.id))}>
+                    Settings
+                  </button>
+                  <button className="control-btn" onClick={withoutToggle(() => onDuplicateModule(module.id))}>
+                    Duplicate
+                  </button>
+                  <button className="control-btn" onClick={withoutToggle(() => onRemoveModule(module.id))}>
+                    Remove
+                  </button>
+                </div>
+              )}
             </div>
-          )}
+          ))}
         </div>
       ))}
       
-      {modules.length === 0 && (
+      {moduleGroups.length === 0 && (
         <div className="module-card">
           <h3>No Modules Loaded</h3>
           <p>Modules will appear here when the system is initialized.</p>
         </div>
       )}
+      
+      {layerStack.length > 0 && (
+        <div className="layer-stack">
+          <h3>Render Layers</h3>
+          {layerStack.map((layer) => (
+            <div
+              key={layer.id}
+              className={`layer-item ${draggedLayerId === layer.id ? 'dragging' : ''}`}
+              draggable
+              onDragStart={() => setDraggedLayerId(layer.id)}
+              onDragOver={(event) => event.preventDefault()}
+              onDrop={() => handleLayerDrop(layer.id)}
+              onDragEnd={() => setDraggedLayerId(null)}
+            >
+              <span>{layer.name}</span>
+              <div className="layer-controls">
+                <button className="control-btn" onClick={() => onLayerMove(layer.id, 'front')}>
+                  Front
+                </button>
+                <button className="control-btn" onClick={() => onLayerMove(layer.id, 'back')}>
+                  Back
+                </button>
+                <label className="layer-z-index">
+                  z
+                  <input
+                    type="number"
+                    step="1"
+                    className="layer-z-input"
+                    value={layer.zIndex}
+                    onChange={(event) => {
+                      const zIndex = parseInt(event.target.value, 10);
+                      if (!Number.isNaN(zIndex)) onLayerZIndexChange(layer.id, zIndex);
+                    }}
+                  />
+                </label>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
\ No newline at end of file
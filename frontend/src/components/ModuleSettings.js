@@ -0,0 +1,290 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import { useModule, useOrchestrator } from '../hooks/use-orchestrator';
+
+// Radix selects work with strings; "raw" is the option's own value for the config
+const getOptions = (field) => (field.options || []).map(option => (
+  typeof option === 'object'
+    ? { value: String(option.value), label: option.label || String(option.value), raw: option.value }
+    : { value: String(option), label: String(option), raw: option }
+));
+
+// onPreview shows a value while it is still being picked, onChange applies it
+const ConfigField = ({ name, field, value, onChange, onPreview }) => {
+  const label = field.label || name;
+  const inputId = `module-setting-${name}`;
+
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      const isInteger = field.type === 'integer';
+      
+      // Bounded numbers get a slider, open-ended ones a plain input
+      if (typeof field.min === 'number' && typeof field.max === 'number') {
+        const step = field.step || (isInteger ? 1 : (field.max - field.min) / 100);
+        return (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label htmlFor={inputId}>{label}</Label>
+              <span className="text-xs text-muted-foreground">{value}</span>
+            </div>
+            <Slider
+              id={inputId}
+              min={field.min}
+              max={field.max}
+              step={step}
+              value={[value]}
+              onValueChange={([next]) => onPreview(next)}
+              onValueCommit={([next]) => onChange(next)}
+            />
+          </div>
+        );
+      }
+      
+      return (
+        <div className="space-y-2">
+          <Label htmlFor={inputId}>{label}</Label>
+          <Input
+            id={inputId}
+            type="number"
+            step={field.step || (isInteger ? 1 : 'any')}
+            value={value}
+            onChange={(event) => {
+              const next = isInteger ? parseInt(event.target.value, 10) : parseFloat(event.target.value);
+              if (!Number.isNaN(next)) onChange(next);
+            }}
+          />
+        </div>
+      );
+    }
+    case 'boolean':
+      return (
+        <div className="flex items-center justify-between">
+          <Label htmlFor={inputId}>{label}</Label>
+          <Switch id={inputId} checked={value} onCheckedChange={onChange} />
+        </div>
+      );
+    case 'select': {
+      const options = getOptions(field);
+      return (
+        <div className="space-y-2">
+          <Label htmlFor={inputId}>{label}</Label>
+          <Select
+            value={String(value)}
+            onValueChange={(next) => onChange(options.find(option => option.value === next).raw)}
+          >
+            <SelectTrigger id={inputId}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="dark">
+              {options.map(option => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      );
+    }
+    case 'color':
+      return (
+        <div className="flex items-center justify-between">
+          <Label htmlFor={inputId}>{label}</Label>
+          <input
+            id={inputId}
+            type="color"
+            className="h-8 w-12 cursor-pointer rounded border border-input bg-transparent"
+            value={value}
+            onChange={(event) => onChange(event.target.value)}
+          />
+        </div>
+      );
+    default:
+      return (
+        <div className="space-y-2">
+          <Label htmlFor={inputId}>{label}</Label>
+          <Input id={inputId} value={value} onChange={(event) => onChange(event.target.value)} />
+        </div>
+      );
+  }
+};
+
+export const ModuleSettings = ({ moduleId, presetStore, onClose }) => {
+  const orchestrator = useOrchestrator();
+  const moduleInfo = useModule(moduleId);
+  const [config, setConfig] = useState(null);
+  const [error, setError] = useState(null);
+  const [presets, setPresets] = useState({});
+  const [presetName, setPresetName] = useState('');
+
+  const fields = moduleInfo ? orchestrator.getConfigFields(moduleId) : {};
+  const moduleType = moduleInfo ? moduleInfo.type : null;
+
+  useEffect(() => {
+    if (!orchestrator || !moduleId) return undefined;
+    
+    setConfig(orchestrator.getModuleConfig(moduleId));
+    setError(null);
+    
+    // Also picks up resets and applied presets
+    const handleConfigChanged = (event) => {
+      if (event.moduleId === moduleId) {
+        setConfig(event.config);
+      }
+    };
+    
+    orchestrator.on('config-changed', handleConfigChanged);
+    return () => {
+      orchestrator.off('config-changed', handleConfigChanged);
+    };
+  }, [orchestrator, moduleId]);
+
+  useEffect(() => {
+    if (presetStore && moduleType) {
+      presetStore.list(moduleType).then(setPresets, listError => setError(listError.message));
+    }
+  }, [presetStore, moduleType]);
+
+  const applyConfig = async (update) => {
+    try {
+      await update();
+      setError(null);
+    } catch (updateError) {
+      setError(updateError.message);
+      setConfig(orchestrator.getModuleConfig(moduleId));
+    }
+  };
+
+  const handleFieldPreview = (key, value) => {
+    setConfig(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleFieldChange = (key, value) => {
+    handleFieldPreview(key, value);
+    applyConfig(() => orchestrator.updateConfig(moduleId, { [key]: value }));
+  };
+
+  // Store failures (a full quota, say) are reported like rejected settings
+  const updatePresets = async (change) => {
+    try {
+      await change();
+      setPresets(await presetStore.list(moduleType));
+      setError(null);
+      return true;
+    } catch (storeError) {
+      setError(storeError.message);
+      return false;
+    }
+  };
+
+  const handleSavePreset = async () => {
+    const name = presetName.trim();
+    if (!name) return;
+    
+    if (await updatePresets(() => presetStore.save(moduleType, name, config))) {
+      setPresetName('');
+    }
+  };
+
+  const handleDeletePreset = (name) => updatePresets(() => presetStore.remove(moduleType, name));
+
+  const fieldEntries = Object.entries(fields);
+  const presetNames = Object.keys(presets);
+
+  return (
+    <Dialog open={Boolean(moduleId)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="dark max-h-[85vh] overflow-y-auto text-foreground">
+        <DialogHeader>
+          <DialogTitle>{moduleInfo ? moduleInfo.name : moduleId} Settings</DialogTitle>
+          <DialogDescription>
+            Changes are applied to the running module immediately.
+          </DialogDescription>
+        </DialogHeader>
+        
+        {!config && (
+          <p className="text-sm text-muted-foreground">
+            Load this module to change its settings.
+          </p>
+        )}
+        
+        {config && fieldEntries.length === 0 && (
+          <p className="text-sm text-muted-foreground">
+            This module has no configurable settings.
+          </p>
+        )}
+        
+        {config && fieldEntries.length > 0 && (
+          <div className="space-y-4">
+            {fieldEntries.map(([key, field]) => (
+              <ConfigField
+                key={key}
+                name={key}
+                field={field}
+                value={config[key]}
+                onChange={(value) => handleFieldChange(key, value)}
+                onPreview={(value) => handleFieldPreview(key, value)}
+              />
+            ))}
+          </div>
+        )}
+        
+        {error && <p className="text-sm text-destructive">{error}</p>}
+        
+        {config && fieldEntries.length > 0 && presetStore && (
+          <div className="space-y-2 border-t border-border pt-4">
+            <Label htmlFor="module-preset-name">Presets</Label>
+            {presetNames.map(name => (
+              <div key={name} className="flex items-center justify-between gap-2">
+                <span className="truncate text-sm">{name}</span>
+                <div className="flex gap-2">
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => applyConfig(() => orchestrator.updateConfig(moduleId, presets[name]))}
+                  >
+                    Apply
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => handleDeletePreset(name)}>
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            ))}
+            <div className="flex gap-2">
+              <Input
+                id="module-preset-name"
+                placeholder="Preset name"
+                value={presetName}
+                onChange={(event) => setPresetName(event.target.value)}
+              />
+              <Button variant="secondary" onClick={handleSavePreset} disabled={!presetName.trim()}>
+                Save as preset
+              </Button>
+            </div>
+          </div>
+        )}
+        
+        <DialogFooter>
+          {config && fieldEntries.length > 0 && (
+            <Button variant="outline" onClick={() => applyConfig(() => orchestrator.resetConfig(moduleId))}>
+              Reset to defaults
+            </Button>
+          )}
+          <Button onClick={onClose}>Done</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
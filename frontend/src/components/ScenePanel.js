@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+import { useOrchestrator } from '../hooks/use-orchestrator';
+
+const SCENE_EVENTS = ['scenes-changed', 'scene-switched'];
+
+export const ScenePanel = ({ isInitialized }) => {
+  const orchestrator = useOrchestrator();
+  const [scenes, setScenes] = useState([]);
+  const [currentScene, setCurrentScene] = useState(null);
+  const [sceneName, setSceneName] = useState('');
+  const [pendingScene, setPendingScene] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!orchestrator || !orchestrator.sceneStore) {
+      setScenes([]);
+      return undefined;
+    }
+    
+    const refresh = async () => {
+      setScenes(await orchestrator.listScenes());
+      setCurrentScene(orchestrator.currentScene);
+    };
+    refresh();
+    
+    SCENE_EVENTS.forEach(event => orchestrator.on(event, refresh));
+    return () => {
+      SCENE_EVENTS.forEach(event => orchestrator.off(event, refresh));
+    };
+  }, [orchestrator]);
+
+  const runSceneAction = async (name, action) => {
+    setPendingScene(name);
+    try {
+      await action();
+      setError(null);
+    } catch (actionError) {
+      setError(actionError.message);
+    } finally {
+      setPendingScene(null);
+    }
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const name = sceneName.trim();
+    if (!name) return;
+    
+    runSceneAction(name, async () => {
+      await orchestrator.saveScene(name);
+      setSceneName('');
+    });
+  };
+
+  return (
+    <div className="scene-panel">
+      <h3>Scenes</h3>
+      
+      {scenes.length === 0 && (
+        <div className="scene-empty">Save the current modules as a scene to switch back to it later.</div>
+      )}
+      
+      {scenes.map(scene => (
+        <div key={scene.name} className={`scene-item ${currentScene === scene.name ? 'current' : ''}`}>
+          <div>
+            <div>{scene.name}</div>
+            <div className="layer-z-index">
+              {scene.moduleCount} module{scene.moduleCount === 1 ? '' : 's'}
+            </div>
+          </div>
+          <div className="module-controls">
+            <button
+              className="control-btn"
+              disabled={!isInitialized || pendingScene !== null}
+              onClick={() => runSceneAction(scene.name, () => orchestrator.switchScene(scene.name))}
+            >
+              {pendingScene === scene.name ? 'Switching...' : 'Switch'}
+            </button>
+            <button
+              className="control-btn"
+              disabled={pendingScene !== null}
+              onClick={() => runSceneAction(scene.name, () => orchestrator.deleteScene(scene.name))}
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+      
+      <form className="scene-save" onSubmit={handleSave}>
+        <input
+          className="scene-name-input"
+          placeholder="Scene name"
+          value={sceneName}
+          onChange={(event) => setSceneName(event.target.value)}
+        />
+        <button className="control-btn" type="submit" disabled={!isInitialized || !sceneName.trim()}>
+          Save current
+        </button>
+      </form>
+      
+      {error && <div className="module-error">{error}</div>}
+    </div>
+  );
+};
@@ -0,0 +1,40 @@
+import React from 'react';
+import { WindowRole } from '../core/communication/WindowLink';
+
+export const describeWindowStatus = (linkState) => {
+  if (linkState.role === WindowRole.CONTROLLER) {
+    return linkState.leaderId ? 'Controlling the display window' : 'Waiting for a display window';
+  }
+  if (linkState.isLeader) {
+    return 'Rendering';
+  }
+  return linkState.leaderId ? 'Standing by, another window is rendering' : 'Looking for a rendering window';
+};
+
+const openWindow = (role) => {
+  window.open(`${window.location.pathname}?role=${role}`, '_blank');
+};
+
+export const WindowLinkPanel = ({ linkState }) => (
+  <div className="window-link-panel">
+    <h3>Windows</h3>
+    
+    <div className="metric-item">
+      <span className="metric-label">This window ({linkState.role})</span>
+      <span>{describeWindowStatus(linkState)}</span>
+    </div>
+    <div className="metric-item">
+      <span className="metric-label">Linked windows</span>
+      <span>{linkState.peers.length}</span>
+    </div>
+    
+    <div className="module-controls">
+      <button className="control-btn" onClick={() => openWindow(WindowRole.CONTROLLER)}>
+        Open controller
+      </button>
+      <button className="control-btn" onClick={() => openWindow(WindowRole.DISPLAY)}>
+        Open display
+      </button>
+    </div>
+  </div>
+);
@@ -0,0 +1,184 @@
+import { z } from 'zod';
+
+export const RECORDING_FORMAT = 'etherion-bus-recording';
+export const RECORDING_VERSION = 1;
+
+const DEFAULT_RECORDING_LIMIT = 10000;
+
+const BUS_CHANNELS = ['module-message', 'topic-message', 'system-event'];
+
+// Who put an envelope on the bus
+export const BusOrigin = Object.freeze({
+  // The app or a tool, from outside the modules; replay sends these again
+  HOST: 'host',
+  // A module, including from its timers and promises; replayed modules resend these
+  MODULE: 'module',
+  ORCHESTRATOR: 'orchestrator'
+});
+
+const recordingSchema = z.object({
+  format: z.literal(RECORDING_FORMAT),
+  version: z.literal(RECORDING_VERSION),
+  startedAt: z.number(),
+  endedAt: z.number().nullable(),
+  truncated: z.boolean().default(false),
+  session: z.object({ modules: z.array(z.any()) }).passthrough(),
+  entries: z.array(z.object({
+    channel: z.enum(BUS_CHANNELS),
+    depth: z.number().int().min(0),
+    // Missing from recordings made before origins were recorded
+    origin: z.enum(Object.values(BusOrigin)).optional(),
+    detail: z.object({ id: z.string().optional(), timestamp: z.number().optional() }).passthrough()
+  }))
+});
+
+// Payloads may carry engine objects or cycles; keep plain data and name the rest
+export const toPlainData = (value, seen = new WeakSet()) => {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? '[Function]' : value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+    return `[${(value.constructor && value.constructor.name) || 'Object'}]`;
+  }
+
+  seen.add(value);
+  const copy = Array.isArray(value)
+    ? value.map(item => toPlainData(item, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainData(item, seen)]));
+  seen.delete(value);
+  return copy;
+};
+
+// Captures every envelope the orchestrator's bus sees, in dispatch order,
+// together with the modules that were running when recording started.
+export class BusRecorder {
+  constructor(orchestrator, { limit = DEFAULT_RECORDING_LIMIT } = {}) {
+    this.orchestrator = orchestrator;
+    this.limit = limit;
+    this.recording = null;
+    this.handleBusEvent = this.handleBusEvent.bind(this);
+  }
+
+  get isRecording() {
+    return Boolean(this.recording) && this.recording.endedAt === null;
+  }
+
+  start() {
+    if (this.isRecording) return;
+    
+    this.recording = {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      startedAt: Date.now(),
+      endedAt: null,
+      truncated: false,
+      session: this.orchestrator.snapshotSession(),
+      entries: []
+    };
+    this.orchestrator.on('bus-event', this.handleBusEvent);
+  }
+
+  stop() {
+    if (!this.isRecording) return this.recording;
+    
+    this.orchestrator.off('bus-event', this.handleBusEvent);
+    this.recording.endedAt = Date.now();
+    return this.recording;
+  }
+
+  handleBusEvent({ channel, detail, depth, origin }) {
+    // Past the limit the log keeps its beginning, which is what replay starts from
+    if (this.recording.entries.length >= this.limit) {
+      this.recording.truncated = true;
+      return;
+    }
+    
+    this.recording.entries.push({ channel, depth, origin, detail: toPlainData(detail) });
+  }
+
+  getRecording() {
+    return this.recording;
+  }
+
+  toJSON() {
+    return this.recording;
+  }
+}
+
+export const parseRecording = (raw) => {
+  const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  const result = recordingSchema.safeParse(data);
+  if (!result.success) {
+    throw new Error(`Not a bus recording: ${result.error.issues[0].message}`);
+  }
+  return result.data;
+};
+
+export const downloadRecording = (recording, filename = `bus-recording-${recording.startedAt}.json`) => {
+  const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Only outside stimuli are sent again. The fresh orchestrator and its modules
+// produce everything else by themselves: module traffic, its own messages,
+// anything sent while handling another envelope and answers to requests.
+const isReplayedStimulus = ({ channel, depth, origin, detail }) => {
+  const external = origin ? origin === BusOrigin.HOST : detail.from !== 'orchestrator';
+  return external
+    && depth === 0
+    && !(channel === 'module-message' && detail.message && detail.message.type === 'response');
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Feeds a recording back into an initialized orchestrator that has no modules
+// yet. Envelopes keep their recorded ids and timestamps; with speed > 0 the
+// recorded gaps between them are honoured, scaled by speed.
+export const replayRecording = async (orchestrator, rawRecording, {
+  speed = 0,
+  filter = isReplayedStimulus,
+  signal = null
+} = {}) => {
+  const recording = parseRecording(rawRecording);
+
+  orchestrator.emit('replay-started', { startedAt: recording.startedAt, entries: recording.entries.length });
+  await orchestrator.restoreSession(recording.session);
+
+  let replayed = 0;
+  let previousTimestamp = null;
+
+  for (const entry of recording.entries) {
+    if (signal && signal.aborted) break;
+    if (!filter(entry)) continue;
+    
+    const { timestamp } = entry.detail;
+    if (speed > 0 && previousTimestamp !== null && typeof timestamp === 'number') {
+      await wait(Math.max(0, timestamp - previousTimestamp) / speed);
+    }
+    previousTimestamp = typeof timestamp === 'number' ? timestamp : previousTimestamp;
+    
+    orchestrator.communicationBus.dispatchEvent(new CustomEvent(entry.channel, { detail: entry.detail }));
+    replayed += 1;
+  }
+
+  const summary = {
+    replayed,
+    skipped: recording.entries.length - replayed,
+    aborted: Boolean(signal && signal.aborted)
+  };
+  orchestrator.emit('replay-finished', summary);
+  return summary;
+};
@@ -0,0 +1,54 @@
+// Why an envelope could not be delivered
+export const DeadLetterReason = Object.freeze({
+  UNKNOWN_TARGET: 'unknown-target',
+  TARGET_NOT_READY: 'target-not-ready',
+  NO_RECEIVER: 'no-receiver',
+  // The target's receiveMessage threw; the target is treated as crashed
+  RECEIVER_FAILED: 'receiver-failed',
+  UNKNOWN_MESSAGE_TYPE: 'unknown-message-type',
+  // Waited for its target but was pushed out of a full queue
+  EXPIRED: 'expired'
+});
+
+// Middleware rejections are recorded under the error's own code
+// (e.g. "access-denied", "throttled").
+
+export class DeadLetterQueue {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.entries = [];
+  }
+
+  // Oldest entries make room for new ones; returns what was evicted
+  add(envelope, reason, { detail = '', awaitingRedelivery = false } = {}) {
+    const entry = {
+      id: envelope.id,
+      envelope,
+      reason,
+      detail,
+      awaitingRedelivery,
+      timestamp: Date.now()
+    };
+    this.entries.push(entry);
+    
+    const evicted = this.entries.length > this.limit
+      ? this.entries.splice(0, this.entries.length - this.limit)
+      : [];
+    return { entry, evicted };
+  }
+
+  // Removes and returns the entries waiting for the given module
+  takeRedeliverable(moduleId) {
+    const ready = this.entries.filter(entry => entry.awaitingRedelivery && entry.envelope.to === moduleId);
+    this.entries = this.entries.filter(entry => !ready.includes(entry));
+    return ready;
+  }
+
+  list() {
+    return [...this.entries];
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
@@ -0,0 +1,156 @@
+import { z } from 'zod';
+import { buildConfigSchema } from '../orchestrator/ModuleConfig';
+import { formatSchemaIssues } from '../shared/SchemaIssues';
+import { DeadLetterReason } from './DeadLetterQueue';
+import { MessageRejectedError } from './MessageMiddleware';
+
+// A module's message contract lists the direct message types it accepts and
+// the ones it sends, each with the payload it expects:
+//
+//   { accepts: { 'set-speed': { speed: { type: 'number', min: 0 } } },
+//     emits: { 'speed-changed': { speed: { type: 'number' } } } }
+//
+// Manifests describe payload fields with the same descriptors as
+// "configSchema"; module types registered in code may pass zod schemas
+// instead. A side that is left out is not checked.
+
+// Bus plumbing every module may receive without declaring it
+const PROTOCOL_MESSAGE_TYPES = new Set(['response', 'delivery-error']);
+
+const buildMessageSchema = (type, fields, moduleType) => {
+  if (fields instanceof z.ZodType) {
+    return fields;
+  }
+  return buildConfigSchema(fields, `${moduleType} message ${type}`).extend({ type: z.literal(type) });
+};
+
+const buildMessageSchemas = (messages, moduleType) => {
+  if (!messages) return null;
+
+  return Object.fromEntries(
+    Object.entries(messages).map(([type, fields]) => [type, buildMessageSchema(type, fields, moduleType)])
+  );
+};
+
+export const buildMessageContract = (contract, moduleType = 'module') => {
+  if (!contract) return null;
+
+  return {
+    accepts: buildMessageSchemas(contract.accepts, moduleType),
+    emits: buildMessageSchemas(contract.emits, moduleType)
+  };
+};
+
+const editDistance = (left, right) => {
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+
+  for (let row = 1; row <= left.length; row += 1) {
+    const current = [row];
+    for (let column = 1; column <= right.length; column += 1) {
+      const substitution = previous[column - 1] + (left[row - 1] === right[column - 1] ? 0 : 1);
+      current.push(Math.min(previous[column] + 1, current[column - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[right.length];
+};
+
+// Most misspelt types are a couple of keystrokes away from the real one
+const suggestType = (type, declaredTypes) => {
+  const [closest] = declaredTypes
+    .map(candidate => ({ candidate, distance: editDistance(type, candidate) }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((left, right) => left.distance - right.distance);
+
+  return closest ? ` (did you mean "${closest.candidate}"?)` : '';
+};
+
+const validateMessage = (schema, { from, to, message }) => {
+  const result = schema.safeParse(message);
+  if (!result.success) {
+    throw new MessageRejectedError(
+      `Invalid ${message.type} message from ${from} to ${to}: ${formatSchemaIssues(result.error)}`,
+      'invalid-message'
+    );
+  }
+};
+
+// Throws a MessageRejectedError when a direct message breaks the sender's
+// or the target's contract
+export const checkMessageContracts = (envelope, { sender = null, target = null } = {}) => {
+  const { from, to, message } = envelope;
+  if (PROTOCOL_MESSAGE_TYPES.has(message.type)) return;
+
+  if (sender && sender.emits) {
+    const schema = sender.emits[message.type];
+    if (!schema) {
+      throw new MessageRejectedError(
+        `${from} sent ${message.type}, which its contract does not list${suggestType(message.type, Object.keys(sender.emits))}`,
+        'undeclared-message'
+      );
+    }
+    validateMessage(schema, envelope);
+  }
+
+  if (target && target.accepts) {
+    const schema = target.accepts[message.type];
+    if (!schema) {
+      throw new MessageRejectedError(
+        `${to} does not accept ${message.type} messages${suggestType(message.type, Object.keys(target.accepts))}`,
+        DeadLetterReason.UNKNOWN_MESSAGE_TYPE
+      );
+    }
+    validateMessage(schema, envelope);
+  }
+};
+
+// Readable summaries of the schemas, for the inspector's catalog
+
+const describeType = (schema) => {
+  const { typeName } = schema._def;
+
+  switch (typeName) {
+    case 'ZodOptional':
+    case 'ZodNullable':
+    case 'ZodDefault':
+      return describeType(schema._def.innerType);
+    case 'ZodEffects':
+      return describeType(schema._def.schema);
+    case 'ZodLiteral':
+      return JSON.stringify(schema._def.value);
+    case 'ZodEnum':
+      return schema._def.values.map(value => JSON.stringify(value)).join(' | ');
+    case 'ZodUnion':
+      return schema._def.options.map(describeType).join(' | ');
+    case 'ZodArray':
+      return `${describeType(schema._def.type)}[]`;
+    case 'ZodNumber':
+      return schema._def.checks.some(check => check.kind === 'int') ? 'integer' : 'number';
+    default:
+      return typeName.replace(/^Zod/, '').toLowerCase();
+  }
+};
+
+const describeFields = (schema) => {
+  const objectSchema = schema._def.typeName === 'ZodEffects' ? schema._def.schema : schema;
+  if (!(objectSchema instanceof z.ZodObject)) {
+    return [{ name: '(message)', type: describeType(schema), required: true }];
+  }
+
+  return Object.entries(objectSchema.shape)
+    .filter(([name]) => name !== 'type')
+    .map(([name, field]) => ({ name, type: describeType(field), required: !field.isOptional() }));
+};
+
+const describeMessages = (schemas) => {
+  if (!schemas) return null;
+
+  return Object.keys(schemas)
+    .sort()
+    .map(type => ({ type, fields: describeFields(schemas[type]) }));
+};
+
+export const describeMessageContract = (contract) => ({
+  accepts: describeMessages(contract.accepts),
+  emits: describeMessages(contract.emits)
+});
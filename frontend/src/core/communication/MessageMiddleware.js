@@ -0,0 +1,153 @@
+import { formatSchemaIssues } from '../shared/SchemaIssues';
+
+const DEFAULT_THROTTLE_LIMIT = 100;
+
+// Middleware sees every envelope that crosses the communication bus, both
+// direct messages ({ kind: 'message', from, to, message, id }) and topic
+// broadcasts ({ kind: 'topic', from, topic, data, id }).
+//
+//   before(envelope)          runs ahead of delivery; may return a replacement
+//                             envelope or throw to stop delivery
+//   after(envelope, outcome)  runs once the envelope has been dispatched
+//
+// Both hooks are synchronous so the bus keeps its delivery order.
+
+export class MessageRejectedError extends Error {
+  constructor(message, code = 'rejected') {
+    super(message);
+    this.name = 'MessageRejectedError';
+    this.code = code;
+  }
+}
+
+export class MiddlewareChain {
+  constructor() {
+    this.middlewares = [];
+  }
+
+  use(middleware) {
+    this.middlewares.push(middleware);
+    return () => this.remove(middleware);
+  }
+
+  remove(middleware) {
+    this.middlewares = this.middlewares.filter(entry => entry !== middleware);
+  }
+
+  runBefore(envelope) {
+    let current = envelope;
+    
+    for (const middleware of this.middlewares) {
+      if (!middleware.before) continue;
+      
+      const result = middleware.before(current);
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+    
+    return current;
+  }
+
+  // Unwinds in reverse so the first middleware sees the final outcome last
+  runAfter(envelope, outcome) {
+    for (const middleware of [...this.middlewares].reverse()) {
+      if (!middleware.after) continue;
+      
+      try {
+        middleware.after(envelope, outcome);
+      } catch (error) {
+        console.error(`Bus middleware ${middleware.name || 'anonymous'} failed after dispatch:`, error);
+      }
+    }
+  }
+
+  clear() {
+    this.middlewares = [];
+  }
+}
+
+// Ready-made layers for CoreOrchestrator.use()
+
+const isResponse = (envelope) => envelope.kind === 'message' && envelope.message.type === 'response';
+
+const describe = (envelope) => (
+  envelope.kind === 'topic'
+    ? `${envelope.from} -> #${envelope.topic}`
+    : `${envelope.from} -> ${envelope.to} ${envelope.message.type}`
+);
+
+export const createLoggingMiddleware = ({ log = console.debug, filter = () => true } = {}) => ({
+  name: 'logging',
+  after(envelope, outcome) {
+    if (filter(envelope)) {
+      log(`[bus] ${describe(envelope)} (${outcome.route})`, envelope);
+    }
+  }
+});
+
+// isAllowed(envelope) decides who may talk to whom
+export const createAccessControlMiddleware = (isAllowed) => ({
+  name: 'access-control',
+  before(envelope) {
+    // Answers always reach whoever asked
+    if (isResponse(envelope) || isAllowed(envelope)) return;
+    
+    throw new MessageRejectedError(`${describe(envelope)} is not allowed`, 'access-denied');
+  }
+});
+
+// Zod schemas keyed by message type and by topic; parsed values replace the originals
+export const createSchemaValidationMiddleware = ({ messages = {}, topics = {} } = {}) => ({
+  name: 'schema-validation',
+  before(envelope) {
+    const schema = envelope.kind === 'topic' ? topics[envelope.topic] : messages[envelope.message.type];
+    if (!schema) return undefined;
+    
+    const payload = envelope.kind === 'topic' ? envelope.data : envelope.message;
+    const result = schema.safeParse(payload);
+    if (!result.success) {
+      throw new MessageRejectedError(
+        `Invalid payload for ${describe(envelope)}: ${formatSchemaIssues(result.error)}`,
+        'invalid-message'
+      );
+    }
+    
+    return envelope.kind === 'topic'
+      ? { ...envelope, data: result.data }
+      : { ...envelope, message: result.data };
+  }
+});
+
+// At most `limit` envelopes per `interval` ms for each key, by default per sender
+export const createThrottleMiddleware = ({
+  limit = DEFAULT_THROTTLE_LIMIT,
+  interval = 1000,
+  key = envelope => envelope.from
+} = {}) => {
+  // A missing or bad limit would otherwise let everything through, or nothing
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Throttle limit must be a positive integer, got ${limit}`);
+  }
+
+  const windows = new Map();
+
+  return {
+    name: 'throttle',
+    before(envelope) {
+      if (isResponse(envelope)) return;
+      
+      const now = Date.now();
+      const bucket = key(envelope);
+      const recent = (windows.get(bucket) || []).filter(time => now - time < interval);
+      
+      if (recent.length >= limit) {
+        windows.set(bucket, recent);
+        throw new MessageRejectedError(`${bucket} exceeded ${limit} messages per ${interval}ms`, 'throttled');
+      }
+      
+      recent.push(now);
+      windows.set(bucket, recent);
+    }
+  };
+};
@@ -0,0 +1,320 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { toPlainData } from './BusRecorder';
+
+const DEFAULT_COMMAND_TIMEOUT = 5000;
+
+// Orchestrator events after which linked windows need fresh state
+const MIRRORED_EVENTS = [
+  'module-registered',
+  'module-transition',
+  'module-loaded',
+  'module-activated',
+  'module-deactivated',
+  'module-unloaded',
+  'module-error',
+  'module-restart-scheduled',
+  'module-disabled',
+  'module-enabled',
+  'permissions-changed',
+  'config-changed',
+  'layers-changed'
+];
+
+// Orchestrator methods a controller window may call on the leader
+const REMOTE_COMMANDS = new Set([
+  'toggleModule',
+  'activateModule',
+  'deactivateModule',
+  'spawnModule',
+  'duplicateModule',
+  'unloadModule',
+  'enableModule',
+  'grantPermissions',
+  'denyPermissions',
+  'updateConfig',
+  'resetConfig',
+  'setLayerOrder',
+  'moveLayer',
+  'setLayerZIndex'
+]);
+
+const EMPTY_STATE = { modules: [], moduleTypes: [], layers: [], configFields: {} };
+
+const snapshotState = (orchestrator) => {
+  const modules = orchestrator.getModules();
+
+  return {
+    modules,
+    moduleTypes: orchestrator.getModuleTypes(),
+    layers: orchestrator.getLayers(),
+    configFields: Object.fromEntries(modules.map(module => [module.id, orchestrator.getConfigFields(module.id)]))
+  };
+};
+
+// Runs on the leading display window: publishes the orchestrator's state over
+// the link and carries out commands from controller windows. Returns a
+// function that stops serving.
+//
+// Updates look like { events: [{ event, payload }], state }. Events that fire
+// in one go share an update, and "state" is null when nothing changed.
+export const serveOrchestrator = (link, orchestrator) => {
+  let pendingEvents = [];
+  let stateRequested = false;
+  let publishTimer = null;
+  let lastState = null;
+  
+  const publishUpdate = () => {
+    publishTimer = null;
+    const events = pendingEvents;
+    pendingEvents = [];
+    if (!link.isOpen) return;
+    
+    const state = toPlainData(snapshotState(orchestrator));
+    const serialized = JSON.stringify(state);
+    const includeState = stateRequested || serialized !== lastState;
+    
+    link.send('state', { events: toPlainData(events), state: includeState ? state : null });
+    lastState = serialized;
+    stateRequested = false;
+  };
+  
+  const schedulePublish = () => {
+    if (publishTimer === null) {
+      publishTimer = setTimeout(publishUpdate, 0);
+    }
+  };
+  
+  // A controller that asks gets the full state, changed or not
+  const publishState = () => {
+    stateRequested = true;
+    schedulePublish();
+  };
+  
+  const queueEvent = (event, payload) => {
+    pendingEvents.push({ event, payload });
+    schedulePublish();
+  };
+
+  const forwarders = MIRRORED_EVENTS.map(event => [event, payload => queueEvent(event, payload)]);
+  forwarders.forEach(([event, forward]) => orchestrator.on(event, forward));
+
+  const runCommand = async (from, { commandId, method, args }) => {
+    let reply;
+    try {
+      if (!REMOTE_COMMANDS.has(method)) {
+        throw new Error(`Unknown remote command: ${method}`);
+      }
+      reply = { commandId, result: toPlainData(await orchestrator[method](...args)) };
+    } catch (error) {
+      reply = { commandId, error: error.message };
+    }
+    
+    if (link.isOpen) {
+      link.send('command-result', reply, from);
+    }
+  };
+
+  const handleMessage = ({ kind, from, data }) => {
+    if (kind === 'state-request') {
+      publishState();
+    } else if (kind === 'command') {
+      runCommand(from, data);
+    }
+  };
+
+  link.on('message', handleMessage);
+  // Controllers that were waiting for a leader
+  publishState();
+
+  return () => {
+    clearTimeout(publishTimer);
+    forwarders.forEach(([event, forward]) => orchestrator.off(event, forward));
+    link.off('message', handleMessage);
+  };
+};
+
+// Stands in for the leader's orchestrator in a controller window. Reads come
+// from the state the leader last published; changes travel to it as commands
+// and resolve once the leader has carried them out.
+export class RemoteOrchestrator extends EventEmitter {
+  constructor(link, { timeout = DEFAULT_COMMAND_TIMEOUT } = {}) {
+    super();
+    this.link = link;
+    this.timeout = timeout;
+    this.state = EMPTY_STATE;
+    this.leaderId = null;
+    this.pendingCommands = new Map();
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleLinkChange = this.handleLinkChange.bind(this);
+    
+    link.on('message', this.handleMessage);
+    link.on('change', this.handleLinkChange);
+    this.handleLinkChange(link.getState());
+  }
+
+  // Until the leader has answered, every read returns an empty state
+  get isConnected() {
+    return this.state !== EMPTY_STATE;
+  }
+
+  handleLinkChange({ leaderId }) {
+    if (leaderId === this.leaderId) return;
+    
+    // Commands in flight went down with the old leader
+    this.rejectPendingCommands(leaderId ? 'The display window changed' : 'The display window went away');
+    this.leaderId = leaderId;
+    this.applyState(null);
+    
+    if (leaderId && this.link.isOpen) {
+      this.link.send('state-request', {}, leaderId);
+    }
+  }
+
+  handleMessage({ kind, from, data }) {
+    if (kind === 'state' && from === this.leaderId) {
+      this.applyUpdate(data);
+    } else if (kind === 'command-result') {
+      this.settleCommand(data);
+    }
+  }
+
+  // The state goes first, so listeners of the events read the new one
+  applyUpdate({ events = [], state = null }) {
+    if (state) {
+      this.applyState(state);
+    }
+    
+    events
+      .filter(({ event }) => event !== 'layers-changed')
+      .forEach(({ event, payload }) => this.emit(event, payload));
+  }
+
+  applyState(state) {
+    this.state = state || EMPTY_STATE;
+    
+    this.emit('remote-state-changed', { leaderId: this.leaderId, connected: this.isConnected });
+    this.emit('layers-changed', this.state.layers);
+  }
+
+  call(method, ...args) {
+    if (!this.leaderId || !this.link.isOpen) {
+      return Promise.reject(new Error('No display window is connected'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const commandId = uuidv4();
+      const timer = setTimeout(() => {
+        this.pendingCommands.delete(commandId);
+        reject(new Error(`Remote ${method} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+      
+      this.pendingCommands.set(commandId, { resolve, reject, timer });
+      this.link.send('command', { commandId, method, args: toPlainData(args) }, this.leaderId);
+    });
+  }
+
+  settleCommand({ commandId, result, error }) {
+    const pending = this.pendingCommands.get(commandId);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingCommands.delete(commandId);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  rejectPendingCommands(reason) {
+    for (const pending of this.pendingCommands.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
+    }
+    this.pendingCommands.clear();
+  }
+
+  getModules() {
+    return this.state.modules;
+  }
+
+  getModuleTypes() {
+    return this.state.moduleTypes;
+  }
+
+  getLayers() {
+    return this.state.layers;
+  }
+
+  getModuleConfig(moduleId) {
+    const module = this.state.modules.find(entry => entry.id === moduleId);
+    return module ? { ...module.config } : null;
+  }
+
+  getConfigFields(moduleId) {
+    return this.state.configFields[moduleId] || {};
+  }
+
+  toggleModule(moduleId) {
+    return this.call('toggleModule', moduleId);
+  }
+
+  activateModule(moduleId) {
+    return this.call('activateModule', moduleId);
+  }
+
+  deactivateModule(moduleId) {
+    return this.call('deactivateModule', moduleId);
+  }
+
+  spawnModule(moduleType, options) {
+    return this.call('spawnModule', moduleType, options);
+  }
+
+  duplicateModule(moduleId) {
+    return this.call('duplicateModule', moduleId);
+  }
+
+  unloadModule(moduleId) {
+    return this.call('unloadModule', moduleId);
+  }
+
+  enableModule(moduleId) {
+    return this.call('enableModule', moduleId);
+  }
+
+  grantPermissions(moduleId) {
+    return this.call('grantPermissions', moduleId);
+  }
+
+  denyPermissions(moduleId) {
+    return this.call('denyPermissions', moduleId);
+  }
+
+  updateConfig(moduleId, patch) {
+    return this.call('updateConfig', moduleId, patch);
+  }
+
+  resetConfig(moduleId) {
+    return this.call('resetConfig', moduleId);
+  }
+
+  setLayerOrder(moduleIds) {
+    return this.call('setLayerOrder', moduleIds);
+  }
+
+  moveLayer(moduleId, position) {
+    return this.call('moveLayer', moduleId, position);
+  }
+
+  setLayerZIndex(moduleId, zIndex) {
+    return this.call('setLayerZIndex', moduleId, zIndex);
+  }
+
+  close() {
+    this.link.off('message', this.handleMessage);
+    this.link.off('change', this.handleLinkChange);
+    this.rejectPendingCommands('The controller was closed');
+  }
+}
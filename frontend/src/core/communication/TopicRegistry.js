@@ -0,0 +1,88 @@
+// Topics are dot-separated segments, e.g. "game.score-updated".
+// In subscription patterns "*" matches exactly one segment and "**" matches
+// any number of segments (including none).
+
+const matchSegments = (pattern, topic) => {
+  if (pattern.length === 0) {
+    return topic.length === 0;
+  }
+  
+  const [head, ...rest] = pattern;
+  if (head === '**') {
+    for (let i = 0; i <= topic.length; i++) {
+      if (matchSegments(rest, topic.slice(i))) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  if (topic.length === 0) {
+    return false;
+  }
+  
+  return (head === '*' || head === topic[0]) && matchSegments(rest, topic.slice(1));
+};
+
+export const topicMatches = (pattern, topic) => {
+  return matchSegments(pattern.split('.'), topic.split('.'));
+};
+
+export const isWildcardTopic = (topic) => {
+  return topic.split('.').some(segment => segment === '*' || segment === '**');
+};
+
+export class TopicRegistry {
+  constructor() {
+    this.subscriptions = new Set();
+    this.retained = new Map();
+  }
+
+  subscribe(moduleId, pattern, handler) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      throw new Error('Topic pattern must be a non-empty string');
+    }
+    
+    const subscription = { moduleId, pattern, handler };
+    this.subscriptions.add(subscription);
+    return subscription;
+  }
+
+  unsubscribe(subscription) {
+    this.subscriptions.delete(subscription);
+  }
+
+  // Remove every subscription matching the given filter fields
+  unsubscribeWhere({ moduleId, pattern, handler }) {
+    for (const subscription of this.subscriptions) {
+      if (moduleId !== undefined && subscription.moduleId !== moduleId) continue;
+      if (pattern !== undefined && subscription.pattern !== pattern) continue;
+      if (handler !== undefined && subscription.handler !== handler) continue;
+      this.subscriptions.delete(subscription);
+    }
+  }
+
+  getSubscribers(topic) {
+    return Array.from(this.subscriptions)
+      .filter(subscription => topicMatches(subscription.pattern, topic));
+  }
+
+  retain(envelope) {
+    // Publishing undefined to a retained topic clears it
+    if (envelope.data === undefined) {
+      this.retained.delete(envelope.topic);
+    } else {
+      this.retained.set(envelope.topic, envelope);
+    }
+  }
+
+  getRetained(pattern) {
+    return Array.from(this.retained.values())
+      .filter(envelope => topicMatches(pattern, envelope.topic));
+  }
+
+  clear() {
+    this.subscriptions.clear();
+    this.retained.clear();
+  }
+}
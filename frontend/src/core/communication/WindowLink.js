@@ -0,0 +1,265 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+const DEFAULT_CHANNEL_NAME = 'etherion:window-link';
+
+const DEFAULT_HEARTBEAT_MS = 1000;
+
+const DEFAULT_PEER_TIMEOUT_MS = 3000;
+
+const DEFAULT_ELECTION_MS = 500;
+
+export const WindowRole = Object.freeze({
+  // Renders the modules while it is the elected leader, stands by otherwise
+  DISPLAY: 'display',
+  // Drives the leader's modules without rendering any of its own
+  CONTROLLER: 'controller'
+});
+
+// Link bookkeeping; everything else is handed to 'message' listeners
+const LINK_MESSAGES = new Set(['hello', 'heartbeat', 'claim', 'goodbye']);
+
+// Older windows win elections, so a display that is already rendering keeps going
+const outranks = (left, right) => (
+  left.startedAt !== right.startedAt ? left.startedAt < right.startedAt : left.windowId < right.windowId
+);
+
+export const isWindowLinkSupported = () => typeof BroadcastChannel !== 'undefined';
+
+// Connects the windows of one origin over a BroadcastChannel. Every window
+// sends a heartbeat; display windows elect one leader among themselves, which
+// owns rendering until it closes or stops answering.
+//
+// Envelopes look like { kind, from, role, startedAt, leader, to, data };
+// "to" is null for broadcasts.
+export class WindowLink extends EventEmitter {
+  constructor({
+    role = WindowRole.DISPLAY,
+    channelName = DEFAULT_CHANNEL_NAME,
+    heartbeatMs = DEFAULT_HEARTBEAT_MS,
+    peerTimeoutMs = DEFAULT_PEER_TIMEOUT_MS,
+    electionMs = DEFAULT_ELECTION_MS,
+    createChannel = name => new BroadcastChannel(name)
+  } = {}) {
+    super();
+    if (!Object.values(WindowRole).includes(role)) {
+      throw new Error(`Unknown window role: ${role}`);
+    }
+    
+    this.role = role;
+    this.channelName = channelName;
+    this.heartbeatMs = heartbeatMs;
+    this.peerTimeoutMs = peerTimeoutMs;
+    this.electionMs = electionMs;
+    this.createChannel = createChannel;
+    this.windowId = uuidv4();
+    this.startedAt = Date.now();
+    this.channel = null;
+    this.peers = new Map();
+    this.leaderId = null;
+    this.isLeader = false;
+    this.isCandidate = false;
+    this.heartbeatTimer = null;
+    this.electionTimer = null;
+    this.close = this.close.bind(this);
+  }
+
+  get isOpen() {
+    return this.channel !== null;
+  }
+
+  get rank() {
+    return { windowId: this.windowId, startedAt: this.startedAt };
+  }
+
+  start() {
+    if (this.channel) return;
+    
+    this.channel = this.createChannel(this.channelName);
+    this.channel.onmessage = (event) => this.handleEnvelope(event.data);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.close);
+    }
+    
+    this.post('hello');
+    this.heartbeatTimer = setInterval(() => this.tick(), this.heartbeatMs);
+    
+    // A running leader answers the hello before this window stands for election
+    if (this.role === WindowRole.DISPLAY) {
+      this.electionTimer = setTimeout(() => this.campaign(), this.electionMs);
+    }
+  }
+
+  close() {
+    if (!this.channel) return;
+    
+    // Lets a standby display take over without waiting for the timeout
+    this.post('goodbye');
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.electionTimer);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.close);
+    }
+    
+    this.channel.close();
+    this.channel = null;
+    this.peers.clear();
+    this.leaderId = null;
+    this.isLeader = false;
+    this.isCandidate = false;
+    this.emitChange();
+  }
+
+  // Application messages, for one window or (without "to") for all of them
+  send(kind, data = {}, to = null) {
+    if (!this.channel) {
+      throw new Error('Window link is closed');
+    }
+    if (LINK_MESSAGES.has(kind)) {
+      throw new Error(`Reserved window link message: ${kind}`);
+    }
+    this.post(kind, data, to);
+  }
+
+  post(kind, data = {}, to = null) {
+    this.channel.postMessage({
+      kind,
+      from: this.windowId,
+      role: this.role,
+      startedAt: this.startedAt,
+      leader: this.isLeader,
+      to,
+      data
+    });
+  }
+
+  handleEnvelope(envelope) {
+    if (!this.channel || (envelope.to && envelope.to !== this.windowId)) return;
+    
+    if (envelope.kind === 'goodbye') {
+      this.forgetPeer(envelope.from);
+      return;
+    }
+    this.notePeer(envelope);
+    
+    switch (envelope.kind) {
+      case 'hello':
+        // Newcomers learn about this window, and who leads, straight away
+        this.post('heartbeat');
+        break;
+      case 'heartbeat':
+        break;
+      case 'claim':
+        this.handleClaim(envelope);
+        break;
+      default:
+        this.emit('message', envelope);
+    }
+  }
+
+  notePeer({ from, role, startedAt, leader }) {
+    const known = this.peers.has(from);
+    const peer = { windowId: from, role, startedAt, lastSeen: Date.now() };
+    this.peers.set(from, peer);
+    
+    if (leader) {
+      this.acknowledgeLeader(peer);
+    } else if (this.leaderId === from) {
+      // The leader stepped down
+      this.leaderId = null;
+      this.emitChange();
+      this.campaign();
+    } else if (!known) {
+      this.emitChange();
+    }
+  }
+
+  acknowledgeLeader(peer) {
+    if (this.isLeader) {
+      // Two leaders after a race: the younger window steps down
+      if (outranks(this.rank, peer)) {
+        this.post('heartbeat');
+        return;
+      }
+      this.isLeader = false;
+    }
+    
+    this.isCandidate = false;
+    clearTimeout(this.electionTimer);
+    if (this.leaderId !== peer.windowId) {
+      this.leaderId = peer.windowId;
+      this.emitChange();
+    }
+  }
+
+  forgetPeer(windowId) {
+    if (!this.peers.delete(windowId)) return;
+    
+    if (this.leaderId === windowId) {
+      this.leaderId = null;
+      this.campaign();
+    }
+    this.emitChange();
+  }
+
+  tick() {
+    this.post('heartbeat');
+    
+    const now = Date.now();
+    for (const peer of Array.from(this.peers.values())) {
+      if (now - peer.lastSeen > this.peerTimeoutMs) {
+        this.forgetPeer(peer.windowId);
+      }
+    }
+    
+    this.campaign();
+  }
+
+  // Claims leadership unless a better-ranked claim or a leader turns up in time
+  campaign() {
+    if (!this.channel || this.role !== WindowRole.DISPLAY || this.leaderId || this.isCandidate) return;
+    
+    this.isCandidate = true;
+    this.post('claim');
+    clearTimeout(this.electionTimer);
+    this.electionTimer = setTimeout(() => {
+      if (!this.isCandidate || this.leaderId) return;
+      
+      this.isCandidate = false;
+      this.isLeader = true;
+      this.leaderId = this.windowId;
+      this.post('heartbeat');
+      this.emitChange();
+    }, this.electionMs);
+  }
+
+  handleClaim(envelope) {
+    // The claimant backs off once it hears from the leader
+    if (this.isLeader) {
+      this.post('heartbeat');
+      return;
+    }
+    
+    const claimant = { windowId: envelope.from, startedAt: envelope.startedAt };
+    if (this.isCandidate && outranks(claimant, this.rank)) {
+      this.isCandidate = false;
+      clearTimeout(this.electionTimer);
+    } else if (!this.isCandidate && outranks(this.rank, claimant)) {
+      this.campaign();
+    }
+  }
+
+  getState() {
+    return {
+      windowId: this.windowId,
+      role: this.role,
+      isLeader: this.isLeader,
+      leaderId: this.leaderId,
+      peers: Array.from(this.peers.values()).map(({ windowId, role }) => ({ windowId, role }))
+    };
+  }
+
+  emitChange() {
+    this.emit('change', this.getState());
+  }
+}
@@ -0,0 +1,170 @@
+import { WindowLink, WindowRole } from './WindowLink';
+
+const HEARTBEAT_MS = 100;
+const PEER_TIMEOUT_MS = 300;
+const ELECTION_MS = 50;
+
+// Stands in for BroadcastChannel: delivers asynchronously, never to the sender,
+// and lets a test silence a channel the way a frozen window would be
+const createHub = () => {
+  const channels = new Set();
+
+  const createChannel = () => {
+    const channel = {
+      onmessage: null,
+      muted: false,
+      postMessage(data) {
+        if (channel.muted) return;
+        
+        const copy = JSON.parse(JSON.stringify(data));
+        for (const peer of channels) {
+          if (peer === channel) continue;
+          setTimeout(() => {
+            if (channels.has(peer) && !peer.muted && peer.onmessage) {
+              peer.onmessage({ data: copy });
+            }
+          }, 0);
+        }
+      },
+      close() {
+        channels.delete(channel);
+      }
+    };
+    channels.add(channel);
+    return channel;
+  };
+
+  return { createChannel };
+};
+
+describe('WindowLink', () => {
+  let hub;
+  let links;
+
+  const openLink = (role = WindowRole.DISPLAY) => {
+    const link = new WindowLink({
+      role,
+      heartbeatMs: HEARTBEAT_MS,
+      peerTimeoutMs: PEER_TIMEOUT_MS,
+      electionMs: ELECTION_MS,
+      createChannel: hub.createChannel
+    });
+    links.push(link);
+    link.start();
+    return link;
+  };
+
+  const leaders = () => links.filter(link => link.isOpen && link.isLeader);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    hub = createHub();
+    links = [];
+  });
+
+  afterEach(() => {
+    links.forEach(link => link.close());
+    jest.useRealTimers();
+  });
+
+  it('elects a lone display window once the election window has passed', () => {
+    const display = openLink();
+    expect(display.isLeader).toBe(false);
+    
+    jest.advanceTimersByTime(ELECTION_MS * 3);
+    expect(display.isLeader).toBe(true);
+    expect(display.leaderId).toBe(display.windowId);
+  });
+
+  it('keeps a running leader when another display joins', () => {
+    const first = openLink();
+    jest.advanceTimersByTime(ELECTION_MS * 3);
+    
+    const second = openLink();
+    jest.advanceTimersByTime(HEARTBEAT_MS * 3);
+    
+    expect(leaders()).toEqual([first]);
+    expect(second.leaderId).toBe(first.windowId);
+    expect(second.peers.has(first.windowId)).toBe(true);
+  });
+
+  it('settles on one leader when displays start together', () => {
+    const displays = [openLink(), openLink(), openLink()];
+    jest.advanceTimersByTime(HEARTBEAT_MS * 5);
+    
+    expect(leaders()).toHaveLength(1);
+    const [leader] = leaders();
+    displays.forEach(display => expect(display.leaderId).toBe(leader.windowId));
+  });
+
+  it('never makes a controller the leader', () => {
+    const controller = openLink(WindowRole.CONTROLLER);
+    jest.advanceTimersByTime(HEARTBEAT_MS * 5);
+    expect(controller.isLeader).toBe(false);
+    expect(controller.leaderId).toBeNull();
+    
+    const display = openLink();
+    jest.advanceTimersByTime(HEARTBEAT_MS * 3);
+    expect(controller.leaderId).toBe(display.windowId);
+    expect(controller.getState().peers).toEqual([{ windowId: display.windowId, role: WindowRole.DISPLAY }]);
+  });
+
+  it('hands leadership to a standby display when the leader closes', () => {
+    const leader = openLink();
+    jest.advanceTimersByTime(ELECTION_MS * 3);
+    const standby = openLink();
+    jest.advanceTimersByTime(HEARTBEAT_MS * 2);
+    
+    leader.close();
+    jest.advanceTimersByTime(ELECTION_MS * 3);
+    
+    expect(standby.isLeader).toBe(true);
+    expect(standby.peers.has(leader.windowId)).toBe(false);
+  });
+
+  it('replaces a leader that stops answering', () => {
+    const leader = openLink();
+    jest.advanceTimersByTime(ELECTION_MS * 3);
+    const standby = openLink();
+    jest.advanceTimersByTime(HEARTBEAT_MS * 2);
+    
+    leader.channel.muted = true;
+    jest.advanceTimersByTime(PEER_TIMEOUT_MS + HEARTBEAT_MS * 2 + ELECTION_MS * 2);
+    
+    expect(standby.isLeader).toBe(true);
+    expect(standby.peers.has(leader.windowId)).toBe(false);
+  });
+
+  it('reports changes to listeners', () => {
+    const display = openLink();
+    const changes = [];
+    display.on('change', state => changes.push(state));
+    
+    jest.advanceTimersByTime(ELECTION_MS * 3);
+    expect(changes[changes.length - 1]).toMatchObject({ isLeader: true, leaderId: display.windowId });
+  });
+
+  it('delivers application messages to everyone or to one window', () => {
+    const sender = openLink();
+    const first = openLink();
+    const second = openLink(WindowRole.CONTROLLER);
+    const received = { first: [], second: [] };
+    first.on('message', envelope => received.first.push(envelope.kind));
+    second.on('message', envelope => received.second.push(envelope.kind));
+    
+    sender.send('everyone', { n: 1 });
+    sender.send('direct', { n: 2 }, second.windowId);
+    jest.advanceTimersByTime(1);
+    
+    expect(received.first).toEqual(['everyone']);
+    expect(received.second).toEqual(['everyone', 'direct']);
+  });
+
+  it('keeps the link protocol to itself', () => {
+    const display = openLink();
+    expect(() => display.send('claim')).toThrow('Reserved window link message: claim');
+    
+    display.close();
+    expect(() => display.send('state')).toThrow('Window link is closed');
+  });
+});
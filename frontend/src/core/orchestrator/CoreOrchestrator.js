@@ -1,19 +1,94 @@
 import { v4 as uuidv4 } from 'uuid';
 import { EventEmitter } from 'events';
-import * as PIXI from 'pixi.js';
+import { TopicRegistry, isWildcardTopic } from '../communication/TopicRegistry';
+import { MiddlewareChain } from '../communication/MessageMiddleware';
+import { BusOrigin } from '../communication/BusRecorder';
+import { DeadLetterQueue, DeadLetterReason } from '../communication/DeadLetterQueue';
+import {
+  buildMessageContract,
+  checkMessageContracts,
+  describeMessageContract
+} from '../communication/MessageContracts';
+import { builtInModules } from '../../modules';
+import { parseManifest, fetchManifest, restartPolicySchema, transitionsSchema } from './ModuleManifest';
+import { createSandboxedModule } from '../sandbox/SandboxedModule';
+import { ModuleLifecycle, ModuleState } from './ModuleLifecycle';
+import { ModuleContext } from './ModuleContext';
+import {
+  crossfade,
+  playLayerTransition,
+  prepareLayerEnter,
+  resetLayerTransform
+} from '../sprite-engine/LayerTransitions';
+import { buildConfigSchema, getConfigDefaults, validateConfig } from './ModuleConfig';
+import { SESSION_SCHEMA_VERSION, migrateSnapshot } from './SessionStore';
+import { compareVersions, findIncompatibilities, parseVersion, satisfies } from './ModuleVersion';
+import { ModulePermissionError, PERMISSIONS } from './ModulePermissions';
+
+// Dependencies provided by the host rather than by other modules
+const SERVICE_DEPENDENCIES = new Set(['sprite-engine']);
+
+const DEFAULT_REQUEST_TIMEOUT = 5000;
+
+const SESSION_SAVE_DELAY = 250;
+
+const DEFAULT_UNLOAD_TIMEOUT = 3000;
+
+const DEFAULT_DEAD_LETTER_LIMIT = 100;
+
+const DEFAULT_SCENE_TRANSITION = { type: 'crossfade', duration: 400, easing: 'easeInOut' };
+
+// Only messages whose target may still turn up are kept for redelivery
+const REDELIVERABLE_REASONS = new Set([DeadLetterReason.UNKNOWN_TARGET, DeadLetterReason.TARGET_NOT_READY]);
+
+const isDevelopment = process.env.NODE_ENV !== 'production';
+
+const sameConfig = (left = {}, right = {}) => {
+  const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+  return Array.from(keys).every(key => JSON.stringify(left[key]) === JSON.stringify(right[key]));
+};
+
+const withTimeout = (promise, timeout, message) => {
+  let timer = null;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+};
 
 export class CoreOrchestrator extends EventEmitter {
-  constructor() {
+  constructor({ deadLetterLimit = DEFAULT_DEAD_LETTER_LIMIT, redeliverDeadLetters = false } = {}) {
     super();
     this.modules = new Map();
+    // Newest registered version of each type; moduleVersions holds all of them
     this.moduleRegistry = new Map();
+    this.moduleVersions = new Map();
     this.communicationBus = new EventTarget();
+    this.busDepth = 0;
     this.spriteEngine = null;
     this.isInitialized = false;
     this.messageHandlers = new Map();
+    this.pendingRequests = new Map();
+    this.topics = new TopicRegistry();
+    this.middleware = new MiddlewareChain();
+    this.deadLetters = new DeadLetterQueue(deadLetterLimit);
+    this.redeliverDeadLetters = redeliverDeadLetters;
+    this.sandboxedModuleIds = new Set();
+    this.trackedDisplayObjects = new WeakSet();
+    this.sessionStore = null;
+    this.sessionSaveTimer = null;
+    this.sceneStore = null;
+    this.permissionStore = null;
+    this.permissionDecisions = new Map();
+    this.currentScene = null;
+    this.sceneQueue = Promise.resolve();
+    this.sceneTransition = { ...DEFAULT_SCENE_TRANSITION };
+    this.crossfading = false;
+    this.shutdownPromise = null;
+    this.scheduleSessionSave = this.scheduleSessionSave.bind(this);
   }
 
-  async initialize(spriteEngine) {
+  async initialize(spriteEngine, { manifestUrls = [] } = {}) {
     try {
       console.log('Initializing Core Orchestrator...');
       this.spriteEngine = spriteEngine;
@@ -24,6 +99,11 @@ export class CoreOrchestrator extends EventEmitter {
       // Initialize module system
       this.initializeModuleSystem();
       
+      // Register externally hosted modules
+      if (manifestUrls.length > 0) {
+        await this.discoverModules(manifestUrls);
+      }
+      
       this.isInitialized = true;
       this.emit('initialized');
       
@@ -37,92 +117,458 @@ export class CoreOrchestrator extends EventEmitter {
   setupCommunicationHandlers() {
     // Handle inter-module communication
     this.communicationBus.addEventListener('module-message', (event) => {
-      this.handleModuleMessage(event.detail);
+      this.tapBus('module-message', event.detail, () => {
+        this.handleModuleMessage({ kind: 'message', ...event.detail });
+      });
+    });
+    
+    // Handle topic broadcasts
+    this.communicationBus.addEventListener('topic-message', (event) => {
+      this.tapBus('topic-message', event.detail, () => {
+        this.handleTopicMessage({ kind: 'topic', ...event.detail });
+      });
     });
     
     // Handle system events
     this.communicationBus.addEventListener('system-event', (event) => {
-      this.handleSystemEvent(event.detail);
+      this.tapBus('system-event', event.detail, () => {
+        this.handleSystemEvent(event.detail);
+      });
+    });
+    
+    // Requests answered by the orchestrator itself
+    this.registerRequestHandler('orchestrator', 'get-modules', (message, { from }) => {
+      this.assertPermission(from, 'read-other-modules');
+      return Array.from(this.modules.keys());
+    });
+    this.registerRequestHandler('orchestrator', 'get-sprite-engine', (message, { from }) => {
+      if (this.isSandboxed(from)) {
+        throw new Error('Sandboxed modules cannot access the sprite engine');
+      }
+      this.assertPermission(from, 'render');
+      return this.spriteEngine;
     });
   }
 
+  // Lets recorders watch raw bus traffic in dispatch order. Depth > 0 marks
+  // traffic sent while another bus event was still being handled.
+  tapBus(channel, detail, handle) {
+    this.emit('bus-event', { channel, detail, depth: this.busDepth, origin: this.getBusOrigin(detail.from) });
+    
+    this.busDepth += 1;
+    try {
+      handle();
+    } finally {
+      this.busDepth -= 1;
+    }
+  }
+
+  // Modules send under their own id, whether from a handler or a timer
+  getBusOrigin(sender) {
+    if (sender === 'orchestrator') {
+      return BusOrigin.ORCHESTRATOR;
+    }
+    return this.modules.has(sender) ? BusOrigin.MODULE : BusOrigin.HOST;
+  }
+
   initializeModuleSystem() {
-    // Register default module types
-    this.registerModuleType('sprite-demo', {
-      name: 'Sprite Demo Module',
-      description: 'Demonstrates basic sprite rendering capabilities',
-      dependencies: ['sprite-engine'],
-      factory: this.createSpriteDemo.bind(this)
+    // Register built-in module types from their manifests
+    for (const { manifest, load } of builtInModules) {
+      try {
+        this.registerManifest(manifest, load);
+      } catch (error) {
+        console.error(`Failed to register built-in module ${manifest.id}:`, error);
+        this.emit('manifest-error', { manifestUrl: null, moduleType: manifest.id, error: error.message });
+      }
+    }
+  }
+
+  registerModuleType(type, config) {
+    const version = config.version || '0.0.0';
+    parseVersion(version);
+    
+    const problems = findIncompatibilities(config.hostApi);
+    if (problems.length > 0) {
+      throw new Error(`Module ${type}@${version} is incompatible with this host: ${problems.join('; ')}`);
+    }
+    
+    const permissions = [...new Set(config.permissions || [])];
+    const unknownPermission = permissions.find(permission => !PERMISSIONS[permission]);
+    if (unknownPermission) {
+      throw new Error(`Unknown permission for ${type}: ${unknownPermission}`);
+    }
+    
+    if (!this.moduleVersions.has(type)) {
+      this.moduleVersions.set(type, new Map());
+    }
+    this.moduleVersions.get(type).set(version, {
+      ...config,
+      version,
+      hostApi: { ...config.hostApi },
+      permissions,
+      configSchema: buildConfigSchema(config.configSchema, type),
+      contract: buildMessageContract(config.messages, type),
+      restartPolicy: restartPolicySchema.parse(config.restartPolicy),
+      transitions: transitionsSchema.parse(config.transitions)
     });
+    this.moduleRegistry.set(type, this.resolveModuleVersion(type));
+    
+    console.log(`Registered module type: ${type}@${version}`);
+    this.emit('module-registered', { moduleType: type, version });
+  }
+
+  // Newest registered version of a type that satisfies the range
+  resolveModuleVersion(type, range = '*') {
+    const versions = this.moduleVersions.get(type);
+    if (!versions) {
+      throw new Error(`Unknown module type: ${type}`);
+    }
+    
+    // Prereleases only count for "*" when a type has nothing else registered
+    const registered = Array.from(versions.keys());
+    let candidates = registered.filter(version => satisfies(version, range));
+    if (candidates.length === 0 && range === '*') {
+      candidates = registered;
+    }
+    candidates.sort(compareVersions);
+    if (candidates.length === 0) {
+      const available = Array.from(versions.keys()).sort(compareVersions).join(', ');
+      throw new Error(`No registered version of ${type} satisfies ${range} (available: ${available})`);
+    }
+    
+    return versions.get(candidates[candidates.length - 1]);
+  }
+
+  getModuleVersions(type) {
+    const versions = this.moduleVersions.get(type);
+    return versions ? Array.from(versions.keys()).sort(compareVersions).reverse() : [];
+  }
+
+  registerManifest(rawManifest, loadEntry, { entryUrl = null } = {}) {
+    const manifest = parseManifest(rawManifest, rawManifest && rawManifest.id);
     
-    this.registerModuleType('particle-system', {
-      name: 'Particle System Module',
-      description: 'Advanced particle effects and animations',
-      dependencies: ['sprite-engine'],
-      factory: this.createParticleSystem.bind(this)
+    if (manifest.isolation === 'worker' && !entryUrl) {
+      throw new Error(`Module ${manifest.id} requests worker isolation but has no entry URL`);
+    }
+    
+    this.registerModuleType(manifest.id, {
+      name: manifest.name,
+      description: manifest.description,
+      version: manifest.version,
+      dependencies: manifest.dependencies,
+      configSchema: manifest.configSchema,
+      // Field descriptors are kept for building settings forms
+      configFields: manifest.configSchema,
+      assets: manifest.assets,
+      restartPolicy: manifest.restartPolicy,
+      transitions: manifest.transitions,
+      hostApi: manifest.hostApi,
+      permissions: manifest.permissions,
+      messages: manifest.messages,
+      manifest,
+      loadEntry,
+      entryUrl,
+      factory: (moduleId, config, context) => this.createFromManifest(
+        this.moduleVersions.get(manifest.id).get(manifest.version),
+        moduleId,
+        config,
+        context
+      )
     });
     
-    this.registerModuleType('ui-overlay', {
-      name: 'UI Overlay Module',
-      description: 'Interactive UI elements over canvas',
+    return manifest.id;
+  }
+
+  async discoverModules(manifestUrls) {
+    const registered = [];
+    
+    for (const manifestUrl of manifestUrls) {
+      try {
+        const { manifest, load, entryUrl } = await fetchManifest(manifestUrl);
+        registered.push(this.registerManifest(manifest, load, { entryUrl }));
+      } catch (error) {
+        console.error(`Failed to discover module at ${manifestUrl}:`, error);
+        this.emit('manifest-error', { manifestUrl, error: error.message });
+      }
+    }
+    
+    return registered;
+  }
+
+  async loadModuleEntry(moduleConfig) {
+    const { manifest, version } = moduleConfig;
+    
+    // Entry modules are imported once and shared between instances
+    if (!moduleConfig.entryModule) {
+      moduleConfig.entryModule = moduleConfig.loadEntry().then((entry) => {
+        if (typeof entry.default !== 'function') {
+          throw new Error(`Module entry for ${manifest.id}@${version} must default-export a module class`);
+        }
+        return entry.default;
+      });
+      moduleConfig.entryModule.catch(() => {
+        moduleConfig.entryModule = null;
+      });
+    }
+    
+    return moduleConfig.entryModule;
+  }
+
+  async createFromManifest(moduleConfig, moduleId, config, context) {
+    const { assets, manifest, entryUrl } = moduleConfig;
+    
+    // Isolated modules never share this realm; the worker imports the entry itself
+    if (manifest.isolation === 'worker') {
+      this.sandboxedModuleIds.add(moduleId);
+      try {
+        return await createSandboxedModule(moduleId, {
+          orchestrator: this,
+          context,
+          spriteEngine: this.spriteEngine,
+          layer: this.modules.get(moduleId).layer,
+          entryUrl,
+          config
+        });
+      } catch (error) {
+        this.sandboxedModuleIds.delete(moduleId);
+        throw error;
+      }
+    }
+    
+    if (assets.length > 0 && this.spriteEngine && this.spriteEngine.assetManager) {
+      await this.spriteEngine.assetManager.preloadAssets(assets);
+    }
+    
+    const ModuleClass = await this.loadModuleEntry(moduleConfig);
+    return new ModuleClass(moduleId, context, config);
+  }
+
+  createModuleRecord(moduleId, moduleType, moduleConfig, name) {
+    const moduleData = {
+      instance: null,
+      type: moduleType,
+      config: moduleConfig,
+      name: name || moduleConfig.name,
+      restartPolicy: { ...moduleConfig.restartPolicy },
+      transitions: { ...moduleConfig.transitions },
+      restartAttempts: 0,
+      restartTimer: null,
+      disabled: false,
+      status: ModuleState.REGISTERED,
+      instanceConfig: {},
       dependencies: [],
-      factory: this.createUIOverlay.bind(this)
+      layer: null,
+      id: moduleId
+    };
+    moduleData.context = new ModuleContext(moduleId, this, () => moduleData.layer);
+    
+    moduleData.lifecycle = new ModuleLifecycle(moduleId, (transition) => {
+      moduleData.status = transition.to;
+      this.emit('module-transition', { ...transition, moduleType });
     });
+    
+    return moduleData;
   }
 
-  registerModuleType(type, config) {
-    this.moduleRegistry.set(type, config);
-    console.log(`Registered module type: ${type}`);
+  // version is a semver range; the newest registered version matching it is used
+  async loadModule(moduleId, moduleType, config = {}, { name = null, version = '*' } = {}) {
+    let moduleConfig;
+    try {
+      moduleConfig = this.resolveModuleVersion(moduleType, version);
+    } catch (error) {
+      console.error(`Failed to load module ${moduleId}:`, error);
+      this.emit('module-error', { moduleId, error: error.message });
+      throw error;
+    }
+    
+    let moduleData = this.modules.get(moduleId);
+    if (moduleData && !this.needsReload(moduleData)) {
+      throw new Error(`Module already loaded: ${moduleId}`);
+    }
+    
+    // Register the record up front so concurrent callers see it immediately
+    if (!moduleData) {
+      moduleData = this.createModuleRecord(moduleId, moduleType, moduleConfig, name);
+      this.modules.set(moduleId, moduleData);
+    }
+    
+    return moduleData.lifecycle.run(() => this.performLoad(moduleData, config));
   }
 
-  async loadModule(moduleId, moduleType, config = {}) {
+  async performLoad(moduleData, config) {
+    const { id: moduleId, type: moduleType, config: moduleConfig } = moduleData;
+    
     try {
       console.log(`Loading module: ${moduleId} (${moduleType})`);
+      moduleData.lifecycle.transition(ModuleState.LOADING);
       
-      const moduleConfig = this.moduleRegistry.get(moduleType);
-      if (!moduleConfig) {
-        throw new Error(`Unknown module type: ${moduleType}`);
-      }
+      // Defaults are filled in before the module ever sees its config
+      const resolvedConfig = validateConfig(moduleConfig.configSchema, config, moduleId);
+      moduleData.instanceConfig = resolvedConfig;
       
       // Check dependencies
       await this.checkDependencies(moduleConfig.dependencies);
       
+      // Load prerequisite modules first
+      moduleData.dependencies = await this.loadDependencies(moduleType, moduleConfig);
+      
+      // Every module draws into a layer of its own
+      moduleData.layer = this.createModuleLayer(moduleId);
+      
       // Create module instance
-      const module = await moduleConfig.factory(moduleId, config);
-      
-      // Register module
-      this.modules.set(moduleId, {
-        instance: module,
-        type: moduleType,
-        config: moduleConfig,
-        status: 'loaded',
-        id: moduleId
-      });
+      moduleData.instance = await moduleConfig.factory(moduleId, resolvedConfig, moduleData.context);
       
+      moduleData.lifecycle.transition(ModuleState.LOADED);
       this.emit('module-loaded', { moduleId, moduleType });
       console.log(`Module loaded successfully: ${moduleId}`);
-      
-      return module;
     } catch (error) {
       console.error(`Failed to load module ${moduleId}:`, error);
+      this.reportLeaks(moduleId, 'load', moduleData.context.dispose());
+      this.removeModuleLayer(moduleData);
+      moduleData.lifecycle.fail(error);
+      this.emit('module-error', { moduleId, error: error.message });
+      throw error;
+    }
+    
+    // Outside the try: a message that upsets the module must not undo its load
+    this.redeliverBufferedMessages(moduleId);
+    
+    return moduleData.instance;
+  }
+
+  async updateConfig(moduleId, patch) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData) {
+      throw new Error(`Module not found: ${moduleId}`);
+    }
+    
+    return moduleData.lifecycle.run(() => this.performConfigUpdate(moduleData, patch));
+  }
+
+  async performConfigUpdate(moduleData, patch) {
+    const { id: moduleId, instance } = moduleData;
+    this.assertCurrentRecord(moduleData);
+    
+    const previous = moduleData.instanceConfig;
+    
+    try {
+      const next = validateConfig(moduleData.config.configSchema, { ...previous, ...patch }, moduleId);
+      moduleData.instanceConfig = next;
+      
+      // Running modules apply the change live
+      if (instance && typeof instance.onConfigChange === 'function') {
+        await instance.onConfigChange(next, previous);
+      }
+      
+      this.emit('config-changed', { moduleId, config: next, previous });
+      return next;
+    } catch (error) {
+      // The module keeps running with the config it had
+      console.error(`Failed to update config of ${moduleId}:`, error);
+      moduleData.instanceConfig = previous;
       this.emit('module-error', { moduleId, error: error.message });
       throw error;
     }
   }
 
+  resetConfig(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData) {
+      throw new Error(`Module not found: ${moduleId}`);
+    }
+    
+    return this.updateConfig(moduleId, getConfigDefaults(moduleData.config.configSchema));
+  }
+
+  getModuleConfig(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    return moduleData ? { ...moduleData.instanceConfig } : null;
+  }
+
+  // Field descriptors from the manifest; module types registered in code have none
+  getConfigFields(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    return (moduleData && moduleData.config.configFields) || {};
+  }
+
+  // A record whose load failed has no instance and can be loaded again
+  needsReload(moduleData) {
+    return moduleData.status === ModuleState.ERROR && !moduleData.instance;
+  }
+
+  // Instances of one type get ids "type", "type-2", "type-3", ...
+  createInstanceId(moduleType) {
+    if (!this.modules.has(moduleType)) {
+      return moduleType;
+    }
+    
+    let index = 2;
+    while (this.modules.has(`${moduleType}-${index}`)) {
+      index++;
+    }
+    return `${moduleType}-${index}`;
+  }
+
+  async spawnModule(moduleType, { config = {}, name = null, version = '*' } = {}) {
+    const moduleConfig = this.moduleRegistry.get(moduleType);
+    if (!moduleConfig) {
+      throw new Error(`Unknown module type: ${moduleType}`);
+    }
+    
+    const moduleId = this.createInstanceId(moduleType);
+    const instanceCount = this.getInstances(moduleType).length;
+    const instanceName = name || (instanceCount === 0 ? moduleConfig.name : `${moduleConfig.name} #${instanceCount + 1}`);
+    
+    await this.loadModule(moduleId, moduleType, config, { name: instanceName, version });
+    return moduleId;
+  }
+
+  // The copy starts with the same config and, if the original runs, runs too
+  async duplicateModule(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData) {
+      throw new Error(`Module not found: ${moduleId}`);
+    }
+    
+    const duplicateId = await this.spawnModule(moduleData.type, {
+      config: { ...moduleData.instanceConfig },
+      name: `${moduleData.name} (copy)`,
+      version: moduleData.config.version
+    });
+    
+    if (moduleData.status === ModuleState.ACTIVE) {
+      await this.activateModule(duplicateId);
+    }
+    return duplicateId;
+  }
+
+  getInstances(moduleType) {
+    return Array.from(this.modules.values())
+      .filter(moduleData => moduleData.type === moduleType)
+      .map(moduleData => moduleData.id);
+  }
+
   async toggleModule(moduleId) {
     const moduleData = this.modules.get(moduleId);
     if (!moduleData) {
-      // Try to load the module if it doesn't exist
-      await this.loadModule(moduleId, moduleId, {});
-      return;
+      throw new Error(`Module not found: ${moduleId}`);
     }
     
-    if (moduleData.status === 'active') {
-      await this.deactivateModule(moduleId);
-    } else {
-      await this.activateModule(moduleId);
+    // A failed load is retried with the instance's own type and config
+    if (this.needsReload(moduleData)) {
+      await this.loadModule(moduleId, moduleData.type, moduleData.instanceConfig);
+      return;
     }
+    
+    // The decision is made once earlier transitions have settled
+    await moduleData.lifecycle.run(() => {
+      if (moduleData.status === ModuleState.ACTIVE) {
+        return this.performDeactivate(moduleData);
+      }
+      
+      this.prepareManualActivation(moduleData);
+      return this.performActivate(moduleData);
+    });
   }
 
   async activateModule(moduleId) {
@@ -131,16 +577,73 @@ export class CoreOrchestrator extends EventEmitter {
       throw new Error(`Module not found: ${moduleId}`);
     }
     
+    await moduleData.lifecycle.run(() => {
+      this.prepareManualActivation(moduleData);
+      return this.performActivate(moduleData);
+    });
+  }
+
+  // Asking for an activation starts the restart budget afresh
+  prepareManualActivation(moduleData) {
+    if (moduleData.disabled) {
+      throw new Error(`Module ${moduleData.id} was disabled after crashing; enable it first`);
+    }
+    
+    clearTimeout(moduleData.restartTimer);
+    moduleData.restartTimer = null;
+    moduleData.restartAttempts = 0;
+  }
+
+  async performActivate(moduleData) {
+    const moduleId = moduleData.id;
+    this.assertCurrentRecord(moduleData);
+    
+    if (moduleData.status === ModuleState.ACTIVE) {
+      return;
+    }
+    
+    if (!moduleData.instance) {
+      const reason = moduleData.lifecycle.errorReason;
+      throw new Error(`Module ${moduleId} is not loaded${reason ? `: ${reason}` : ''}`);
+    }
+    
+    const permissions = this.getPermissionState(moduleData);
+    if (permissions.pending) {
+      this.emit('permissions-required', { moduleId, permissions: permissions.requested });
+      const error = new Error(`Module ${moduleId} is waiting for permission: ${permissions.requested.join(', ')}`);
+      error.code = 'permissions-required';
+      throw error;
+    }
+    
+    // Prerequisites must be running before their dependents
+    await this.activateDependencies(moduleData);
+    
+    moduleData.lifecycle.transition(ModuleState.ACTIVATING);
+    moduleData.context.beginActivation();
+    
+    const animate = this.canTransitionLayer(moduleData);
+    if (animate) {
+      prepareLayerEnter(this.spriteEngine.app, moduleData.layer, moduleData.transitions.enter);
+    }
+    
     try {
       if (moduleData.instance.activate) {
         await moduleData.instance.activate();
       }
       
-      moduleData.status = 'active';
+      if (animate) {
+        await playLayerTransition(this.spriteEngine.app, moduleData.layer, moduleData.transitions.enter, 'enter');
+      }
+      
+      moduleData.lifecycle.transition(ModuleState.ACTIVE);
       this.emit('module-activated', { moduleId });
       console.log(`Module activated: ${moduleId}`);
     } catch (error) {
       console.error(`Failed to activate module ${moduleId}:`, error);
+      this.reportLeaks(moduleId, 'activate', moduleData.context.endActivation());
+      this.resetModuleLayer(moduleData);
+      moduleData.lifecycle.fail(error);
+      this.emit('module-error', { moduleId, error: error.message });
       throw error;
     }
   }
@@ -151,350 +654,1284 @@ export class CoreOrchestrator extends EventEmitter {
       throw new Error(`Module not found: ${moduleId}`);
     }
     
+    await moduleData.lifecycle.run(() => this.performDeactivate(moduleData));
+  }
+
+  async performDeactivate(moduleData) {
+    const moduleId = moduleData.id;
+    this.assertCurrentRecord(moduleData);
+    
+    if (moduleData.status === ModuleState.LOADED) {
+      return;
+    }
+    
+    this.assertNoActiveDependents(moduleId, 'deactivate');
+    moduleData.lifecycle.transition(ModuleState.DEACTIVATING);
+    
     try {
+      if (this.canTransitionLayer(moduleData)) {
+        await playLayerTransition(this.spriteEngine.app, moduleData.layer, moduleData.transitions.exit, 'exit');
+      }
+      
       if (moduleData.instance.deactivate) {
         await moduleData.instance.deactivate();
       }
       
-      moduleData.status = 'loaded';
+      // Release whatever the module created while it was active
+      this.reportLeaks(moduleId, 'deactivate', moduleData.context.endActivation());
+      this.resetModuleLayer(moduleData);
+      
+      moduleData.lifecycle.transition(ModuleState.LOADED);
       this.emit('module-deactivated', { moduleId });
       console.log(`Module deactivated: ${moduleId}`);
     } catch (error) {
       console.error(`Failed to deactivate module ${moduleId}:`, error);
+      this.reportLeaks(moduleId, 'deactivate', moduleData.context.endActivation());
+      this.resetModuleLayer(moduleData);
+      moduleData.lifecycle.fail(error);
+      this.emit('module-error', { moduleId, error: error.message });
       throw error;
     }
   }
 
-  async unloadModule(moduleId) {
+  // Called by guarded callbacks and sandboxes; the rest of the app keeps running
+  handleModuleCrash(moduleId, error) {
     const moduleData = this.modules.get(moduleId);
     if (!moduleData) {
       return;
     }
     
-    try {
-      // Deactivate if active
-      if (moduleData.status === 'active') {
-        await this.deactivateModule(moduleId);
-      }
-      
-      // Cleanup module
-      if (moduleData.instance.destroy) {
-        await moduleData.instance.destroy();
-      }
-      
-      this.modules.delete(moduleId);
-      this.emit('module-unloaded', { moduleId });
-      console.log(`Module unloaded: ${moduleId}`);
-    } catch (error) {
-      console.error(`Failed to unload module ${moduleId}:`, error);
-      throw error;
-    }
+    console.error(`Module ${moduleId} crashed:`, error);
+    moduleData.lifecycle.run(() => this.performCrash(moduleData, error)).catch(() => {});
   }
 
-  async checkDependencies(dependencies) {
-    for (const dep of dependencies) {
-      if (dep === 'sprite-engine' && !this.spriteEngine) {
-        throw new Error('Sprite engine is required but not available');
+  async performCrash(moduleData, error) {
+    const { id: moduleId, instance } = moduleData;
+    const wasActive = moduleData.status === ModuleState.ACTIVE;
+    
+    // Unloaded, or already failed, while the crash waited its turn
+    if (this.modules.get(moduleId) !== moduleData || !instance || moduleData.status === ModuleState.ERROR) {
+      return;
+    }
+    
+    if (wasActive) {
+      try {
+        if (instance.deactivate) {
+          await instance.deactivate();
+        }
+      } catch (deactivateError) {
+        console.warn(`Module ${moduleId} failed to deactivate after crashing:`, deactivateError);
       }
+      this.reportLeaks(moduleId, 'crash', moduleData.context.endActivation());
+      this.resetModuleLayer(moduleData);
     }
+    
+    moduleData.lifecycle.fail(error);
+    this.emit('module-error', { moduleId, error: moduleData.lifecycle.errorReason, crashed: true });
+    this.applyRestartPolicy(moduleData, wasActive);
   }
 
-  sendMessage(fromModule, toModule, message) {
-    const event = new CustomEvent('module-message', {
-      detail: {
-        from: fromModule,
-        to: toModule,
-        message,
-        timestamp: Date.now(),
-        id: uuidv4()
-      }
-    });
+  applyRestartPolicy(moduleData, wasActive) {
+    const moduleId = moduleData.id;
+    const { mode, maxRestarts, backoffMs } = moduleData.restartPolicy;
     
-    this.communicationBus.dispatchEvent(event);
+    if (mode === 'disable') {
+      moduleData.disabled = true;
+      this.emit('module-disabled', { moduleId });
+      return;
+    }
+    
+    if (mode !== 'restart' || !wasActive || moduleData.restartAttempts >= maxRestarts) {
+      return;
+    }
+    
+    const attempt = ++moduleData.restartAttempts;
+    const delay = backoffMs * 2 ** (attempt - 1);
+    
+    moduleData.restartTimer = setTimeout(() => {
+      moduleData.restartTimer = null;
+      this.restartModule(moduleData, attempt);
+    }, delay);
+    this.emit('module-restart-scheduled', { moduleId, attempt, maxRestarts, delay });
   }
 
-  handleModuleMessage(eventDetail) {
-    const { from, to, message, id } = eventDetail;
+  async restartModule(moduleData, attempt) {
+    const moduleId = moduleData.id;
+    if (this.modules.get(moduleId) !== moduleData) {
+      return;
+    }
     
-    if (to === 'orchestrator') {
-      // Handle messages to orchestrator
-      this.handleOrchestratorMessage(from, message, id);
-    } else {
-      // Forward to target module
-      const targetModule = this.modules.get(to);
-      if (targetModule && targetModule.instance.receiveMessage) {
-        targetModule.instance.receiveMessage(from, message, id);
-      }
+    console.log(`Restarting module ${moduleId} (attempt ${attempt})`);
+    try {
+      await moduleData.lifecycle.run(() => this.performActivate(moduleData));
+      this.emit('module-restarted', { moduleId, attempt });
+    } catch (error) {
+      // A failed restart uses up an attempt just like a crash
+      console.warn(`Restart attempt ${attempt} of ${moduleId} failed:`, error.message);
+      this.applyRestartPolicy(moduleData, true);
     }
   }
 
-  handleOrchestratorMessage(from, message, id) {
-    switch (message.type) {
-      case 'get-modules':
-        this.sendResponse(from, id, Array.from(this.modules.keys()));
-        break;
-      case 'get-sprite-engine':
-        this.sendResponse(from, id, this.spriteEngine);
-        break;
-      default:
-        console.warn(`Unknown orchestrator message type: ${message.type}`);
+  // Layer transitions need a running engine. They are skipped while a scene
+  // crossfade covers the stage and while shutting down.
+  canTransitionLayer(moduleData) {
+    return Boolean(moduleData.layer && this.spriteEngine && this.spriteEngine.app)
+      && !this.crossfading
+      && !this.shutdownPromise;
+  }
+
+  resetModuleLayer(moduleData) {
+    if (moduleData.layer) {
+      resetLayerTransform(moduleData.layer);
     }
   }
 
-  sendResponse(toModule, requestId, data) {
-    const event = new CustomEvent('module-message', {
-      detail: {
-        from: 'orchestrator',
-        to: toModule,
-        message: {
-          type: 'response',
-          requestId,
-          data
-        },
-        timestamp: Date.now(),
-        id: uuidv4()
+  setModuleTransitions(moduleId, transitions) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData) {
+      throw new Error(`Module not found: ${moduleId}`);
+    }
+    
+    moduleData.transitions = transitionsSchema.parse({ ...moduleData.transitions, ...transitions });
+    return { ...moduleData.transitions };
+  }
+
+  setSceneTransition(transition) {
+    this.sceneTransition = { ...this.sceneTransition, ...transition };
+  }
+
+  setRestartPolicy(moduleId, policy) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData) {
+      throw new Error(`Module not found: ${moduleId}`);
+    }
+    
+    moduleData.restartPolicy = restartPolicySchema.parse({ ...moduleData.restartPolicy, ...policy });
+    return { ...moduleData.restartPolicy };
+  }
+
+  enableModule(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData || !moduleData.disabled) {
+      return;
+    }
+    
+    moduleData.disabled = false;
+    moduleData.restartAttempts = 0;
+    this.emit('module-enabled', { moduleId });
+  }
+
+  async unloadModule(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData) {
+      return;
+    }
+    
+    await moduleData.lifecycle.run(() => this.performUnload(moduleData));
+  }
+
+  async performUnload(moduleData) {
+    const moduleId = moduleData.id;
+    
+    // An earlier queued unload already removed it
+    if (this.modules.get(moduleId) !== moduleData) {
+      return;
+    }
+    
+    this.assertNoActiveDependents(moduleId, 'unload');
+    clearTimeout(moduleData.restartTimer);
+    moduleData.restartTimer = null;
+    
+    try {
+      // Deactivate if active
+      if (moduleData.status === ModuleState.ACTIVE) {
+        await this.performDeactivate(moduleData);
+      }
+      
+      moduleData.lifecycle.transition(ModuleState.UNLOADING);
+      
+      // Cleanup module
+      if (moduleData.instance && moduleData.instance.destroy) {
+        await moduleData.instance.destroy();
+      }
+      this.reportLeaks(moduleId, 'unload', moduleData.context.dispose());
+      this.removeModuleLayer(moduleData);
+      
+      moduleData.lifecycle.transition(ModuleState.UNLOADED);
+      this.releaseModuleRecord(moduleData);
+      this.emit('module-unloaded', { moduleId });
+      console.log(`Module unloaded: ${moduleId}`);
+    } catch (error) {
+      console.error(`Failed to unload module ${moduleId}:`, error);
+      if (moduleData.status === ModuleState.UNLOADING) {
+        moduleData.lifecycle.fail(error);
+        this.emit('module-error', { moduleId, error: error.message });
       }
+      throw error;
+    }
+  }
+
+  createModuleLayer(moduleId) {
+    if (!this.spriteEngine || !this.spriteEngine.layerRoot) {
+      return null;
+    }
+    
+    const layer = this.spriteEngine.createLayer(moduleId);
+    this.emitLayersChanged();
+    return layer;
+  }
+
+  removeModuleLayer(moduleData) {
+    if (!moduleData.layer) {
+      return;
+    }
+    
+    this.spriteEngine.removeLayer(moduleData.id);
+    moduleData.layer = null;
+    this.emitLayersChanged();
+  }
+
+  // Layers from back to front
+  getLayers() {
+    if (!this.spriteEngine || !this.spriteEngine.layerRoot) {
+      return [];
+    }
+    
+    return this.spriteEngine.getLayerOrder().map((moduleId) => {
+      const moduleData = this.modules.get(moduleId);
+      return {
+        id: moduleId,
+        name: moduleData ? moduleData.name : moduleId,
+        zIndex: this.spriteEngine.getLayer(moduleId).zIndex
+      };
     });
+  }
+
+  setLayerOrder(moduleIds) {
+    this.spriteEngine.setLayerOrder(moduleIds);
+    this.emitLayersChanged();
+  }
+
+  moveLayer(moduleId, position) {
+    this.assertLayer(moduleId);
     
-    this.communicationBus.dispatchEvent(event);
+    if (position === 'front') {
+      this.spriteEngine.bringLayerToFront(moduleId);
+    } else if (position === 'back') {
+      this.spriteEngine.sendLayerToBack(moduleId);
+    } else {
+      throw new Error(`Unknown layer position: ${position}`);
+    }
+    this.emitLayersChanged();
   }
 
-  handleSystemEvent(eventDetail) {
-    const { type, data } = eventDetail;
+  setLayerZIndex(moduleId, zIndex) {
+    this.assertLayer(moduleId);
+    this.spriteEngine.setLayerZIndex(moduleId, zIndex);
+    this.emitLayersChanged();
+  }
+
+  assertLayer(moduleId) {
+    if (!this.spriteEngine || !this.spriteEngine.getLayer(moduleId)) {
+      throw new Error(`No render layer for module: ${moduleId}`);
+    }
+  }
+
+  emitLayersChanged() {
+    this.emit('layers-changed', this.getLayers());
+  }
+
+  snapshotSession() {
+    const modules = Array.from(this.modules.values())
+      .filter(moduleData => moduleData.status === ModuleState.LOADED || moduleData.status === ModuleState.ACTIVE)
+      .map(moduleData => ({
+        id: moduleData.id,
+        type: moduleData.type,
+        name: moduleData.name,
+        status: moduleData.status,
+        version: moduleData.config.version,
+        config: { ...moduleData.instanceConfig }
+      }));
     
-    switch (type) {
-      case 'performance-update':
-        this.emit('performance-update', data);
-        break;
-      default:
-        console.log(`System event: ${type}`, data);
+    return {
+      version: SESSION_SCHEMA_VERSION,
+      savedAt: Date.now(),
+      modules,
+      layers: this.getLayers().map(layer => layer.id)
+    };
+  }
+
+  // Saved instances come back at their saved version, as long as it is still
+  // registered; older snapshots did not record one
+  getSavedVersionRange(moduleType, version) {
+    if (!version) {
+      return '*';
+    }
+    if (!this.getModuleVersions(moduleType).includes(version)) {
+      console.warn(`${moduleType}@${version} is no longer registered; using the newest version`);
+      return '*';
+    }
+    return version;
+  }
+
+  runsSavedVersion(moduleData, version) {
+    const range = this.getSavedVersionRange(moduleData.type, version);
+    return range === '*' || range === moduleData.config.version;
+  }
+
+  async restoreSession(rawSnapshot) {
+    const snapshot = migrateSnapshot(rawSnapshot);
+    const restored = [];
+    
+    for (const { id, type, config, name, version } of snapshot.modules) {
+      // Dependencies may already have been pulled in by an earlier entry
+      if (this.modules.has(id)) continue;
+      
+      if (!this.moduleRegistry.has(type)) {
+        console.warn(`Skipping unknown module type in session: ${type}`);
+        continue;
+      }
+      
+      try {
+        await this.loadModule(id, type, config, { name, version: this.getSavedVersionRange(type, version) });
+        restored.push(id);
+      } catch (error) {
+        console.warn(`Failed to restore module ${id}:`, error);
+      }
+    }
+    
+    for (const { id, status } of snapshot.modules) {
+      if (status !== ModuleState.ACTIVE || !this.modules.has(id)) continue;
+      
+      try {
+        await this.activateModule(id);
+      } catch (error) {
+        console.warn(`Failed to reactivate module ${id}:`, error);
+      }
+    }
+    
+    const layers = snapshot.layers.filter(id => this.modules.has(id));
+    if (layers.length > 0 && this.spriteEngine && this.spriteEngine.layerRoot) {
+      this.setLayerOrder(layers);
+    }
+    
+    this.emit('session-restored', { modules: restored });
+    return restored;
+  }
+
+  async attachSessionStore(store, { restore = true } = {}) {
+    this.detachSessionStore();
+    this.sessionStore = store;
+    
+    if (restore) {
+      try {
+        const snapshot = await store.load();
+        if (snapshot) {
+          await this.restoreSession(snapshot);
+        }
+      } catch (error) {
+        console.warn('Failed to restore session:', error);
+      }
     }
+    
+    this.on('module-transition', this.scheduleSessionSave);
+    this.on('layers-changed', this.scheduleSessionSave);
+    this.on('config-changed', this.scheduleSessionSave);
   }
 
-  // Module Factory Methods
-  async createSpriteDemo(moduleId, config) {
-    return new SpriteDemo(moduleId, this.spriteEngine, this);
+  detachSessionStore() {
+    clearTimeout(this.sessionSaveTimer);
+    this.sessionSaveTimer = null;
+    this.off('module-transition', this.scheduleSessionSave);
+    this.off('layers-changed', this.scheduleSessionSave);
+    this.off('config-changed', this.scheduleSessionSave);
+    this.sessionStore = null;
   }
 
-  async createParticleSystem(moduleId, config) {
-    return new ParticleSystem(moduleId, this.spriteEngine, this);
+  scheduleSessionSave() {
+    clearTimeout(this.sessionSaveTimer);
+    this.sessionSaveTimer = setTimeout(() => {
+      this.sessionSaveTimer = null;
+      this.saveSession();
+    }, SESSION_SAVE_DELAY);
   }
 
-  async createUIOverlay(moduleId, config) {
-    return new UIOverlay(moduleId, this);
+  async saveSession() {
+    if (!this.sessionStore) return;
+    
+    try {
+      await this.sessionStore.save(this.snapshotSession());
+    } catch (error) {
+      console.warn('Failed to save session:', error);
+    }
   }
 
-  getModule(moduleId) {
+  // Permission decisions are remembered per module type, so every instance
+  // and every later visit shares them
+
+  async attachPermissionStore(store) {
+    this.permissionStore = store;
+    
+    const decisions = await store.list();
+    for (const [moduleType, decision] of Object.entries(decisions)) {
+      this.permissionDecisions.set(moduleType, decision);
+    }
+    this.emit('permissions-changed', { moduleType: null });
+  }
+
+  getPermissionState(moduleData) {
+    const requested = moduleData.config.permissions || [];
+    const decision = this.permissionDecisions.get(moduleData.type) || { granted: [], asked: [] };
+    
+    return {
+      requested: [...requested],
+      granted: requested.filter(permission => decision.granted.includes(permission)),
+      // Asked before, unless a newer version wants something new
+      pending: requested.some(permission => !decision.asked.includes(permission))
+    };
+  }
+
+  hasPermission(moduleId, permission) {
     const moduleData = this.modules.get(moduleId);
-    return moduleData ? moduleData.instance : null;
+    return Boolean(moduleData) && this.getPermissionState(moduleData).granted.includes(permission);
   }
 
-  getModules() {
-    return Array.from(this.modules.values()).map(moduleData => ({
-      id: moduleData.id,
-      type: moduleData.type,
-      status: moduleData.status,
-      name: moduleData.config.name
+  assertPermission(moduleId, permission) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData || !(moduleData.config.permissions || []).includes(permission)) {
+      throw new ModulePermissionError(moduleId, permission, 'it did not declare');
+    }
+    if (!this.hasPermission(moduleId, permission)) {
+      throw new ModulePermissionError(moduleId, permission);
+    }
+  }
+
+  async decidePermissions(moduleId, granted) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData) {
+      throw new Error(`Module not found: ${moduleId}`);
+    }
+    
+    const requested = moduleData.config.permissions || [];
+    const decision = {
+      granted: requested.filter(permission => granted.includes(permission)),
+      asked: [...requested]
+    };
+    
+    this.permissionDecisions.set(moduleData.type, decision);
+    if (this.permissionStore) {
+      await this.permissionStore.save(moduleData.type, decision);
+    }
+    this.emit('permissions-changed', { moduleType: moduleData.type, ...decision });
+    return decision;
+  }
+
+  grantPermissions(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    return this.decidePermissions(moduleId, moduleData ? moduleData.config.permissions : []);
+  }
+
+  denyPermissions(moduleId) {
+    return this.decidePermissions(moduleId, []);
+  }
+
+  // The next activation asks again
+  async resetPermissions(moduleType) {
+    this.permissionDecisions.delete(moduleType);
+    if (this.permissionStore) {
+      await this.permissionStore.remove(moduleType);
+    }
+    this.emit('permissions-changed', { moduleType });
+  }
+
+  // Scenes are named session snapshots the user can switch between
+
+  attachSceneStore(store) {
+    this.sceneStore = store;
+    this.emit('scenes-changed');
+  }
+
+  assertSceneStore() {
+    if (!this.sceneStore) {
+      throw new Error('No scene store attached');
+    }
+  }
+
+  async listScenes() {
+    this.assertSceneStore();
+    const scenes = await this.sceneStore.list();
+    
+    return Object.entries(scenes).map(([name, scene]) => ({
+      name,
+      savedAt: scene.savedAt,
+      moduleCount: (scene.modules || []).length
     }));
   }
 
-  destroy() {
-    // Cleanup all modules
-    for (const [moduleId] of this.modules) {
-      this.unloadModule(moduleId);
+  async saveScene(name) {
+    this.assertSceneStore();
+    
+    await this.sceneStore.save(name, this.snapshotSession());
+    this.currentScene = name;
+    this.emit('scenes-changed');
+  }
+
+  async deleteScene(name) {
+    this.assertSceneStore();
+    
+    await this.sceneStore.remove(name);
+    if (this.currentScene === name) {
+      this.currentScene = null;
+    }
+    this.emit('scenes-changed');
+  }
+
+  // Switches run one at a time so a quick double click cannot interleave them.
+  // With a "crossfade" transition the old picture fades into the new one and
+  // module transitions are skipped; "none" lets every module run its own.
+  switchScene(name, { transition = this.sceneTransition } = {}) {
+    const switching = this.sceneQueue.then(() => (
+      transition.type === 'crossfade'
+        ? this.crossfadeScene(name, transition)
+        : this.performSceneSwitch(name)
+    ));
+    this.sceneQueue = switching.catch(() => {});
+    return switching;
+  }
+
+  async crossfadeScene(name, transition) {
+    const engine = this.spriteEngine;
+    if (!engine || !engine.app || !engine.layerRoot) {
+      return this.performSceneSwitch(name);
     }
     
-    this.modules.clear();
-    this.moduleRegistry.clear();
-    this.removeAllListeners();
+    this.crossfading = true;
+    try {
+      return await crossfade(engine.app, engine.layerRoot, () => this.performSceneSwitch(name), {
+        ...transition,
+        // Keeps the leak check from blaming modules for the overlay
+        onSnapshot: snapshot => this.trackedDisplayObjects.add(snapshot)
+      });
+    } finally {
+      this.crossfading = false;
+    }
+  }
+
+  // Only what differs is touched: modules present in both keep running and
+  // merely receive the scene's config and active state
+  async performSceneSwitch(name) {
+    this.assertSceneStore();
     
-    console.log('Core Orchestrator destroyed');
+    const rawScene = (await this.sceneStore.list())[name];
+    if (!rawScene) {
+      throw new Error(`Unknown scene: ${name}`);
+    }
+    
+    const scene = migrateSnapshot(rawScene);
+    const wanted = new Map(scene.modules.map(entry => [entry.id, entry]));
+    const summary = { kept: [], updated: [], loaded: [], unloaded: [] };
+    
+    // Leaving modules go first, dependents before their dependencies
+    for (const moduleId of this.getUnloadOrder()) {
+      const moduleData = this.modules.get(moduleId);
+      const entry = wanted.get(moduleId);
+      if (entry && entry.type === moduleData.type && !this.needsReload(moduleData)
+        && this.runsSavedVersion(moduleData, entry.version)) continue;
+      
+      try {
+        await this.unloadModule(moduleId);
+        summary.unloaded.push(moduleId);
+      } catch (error) {
+        console.warn(`Failed to unload ${moduleId} while switching to scene ${name}:`, error);
+      }
+    }
+    
+    for (const { id, type, name: moduleName, config, version } of scene.modules) {
+      try {
+        if (!this.modules.has(id)) {
+          await this.loadModule(id, type, config, { name: moduleName, version: this.getSavedVersionRange(type, version) });
+          summary.loaded.push(id);
+        } else if (!sameConfig(this.getModuleConfig(id), config)) {
+          await this.updateConfig(id, config);
+          summary.updated.push(id);
+        } else {
+          summary.kept.push(id);
+        }
+      } catch (error) {
+        console.warn(`Failed to prepare ${id} for scene ${name}:`, error);
+      }
+    }
+    
+    // Deactivate dependents before their dependencies, then activate in scene order
+    for (const moduleId of this.getUnloadOrder()) {
+      const entry = wanted.get(moduleId);
+      if (!entry || entry.status === ModuleState.ACTIVE) continue;
+      if (this.modules.get(moduleId).status !== ModuleState.ACTIVE) continue;
+      
+      await this.deactivateModule(moduleId).catch(error => {
+        console.warn(`Failed to deactivate ${moduleId} for scene ${name}:`, error);
+      });
+    }
+    
+    for (const { id, status } of scene.modules) {
+      const moduleData = this.modules.get(id);
+      if (status !== ModuleState.ACTIVE || !moduleData || moduleData.status !== ModuleState.LOADED) continue;
+      
+      await this.activateModule(id).catch(error => {
+        console.warn(`Failed to activate ${id} for scene ${name}:`, error);
+      });
+    }
+    
+    const layers = scene.layers.filter(id => this.modules.has(id));
+    if (layers.length > 0 && this.spriteEngine && this.spriteEngine.layerRoot) {
+      this.setLayerOrder(layers);
+    }
+    
+    this.currentScene = name;
+    this.emit('scene-switched', { name, ...summary });
+    return summary;
+  }
+
+  reportLeaks(moduleId, phase, leaks) {
+    if (!isDevelopment || leaks.length === 0) {
+      return;
+    }
+    
+    console.warn(`Module ${moduleId} leaked ${leaks.length} resource(s) after ${phase}:`, leaks);
+    this.emit('module-leaks', { moduleId, phase, leaks });
+  }
+
+  releaseModuleRecord(moduleData) {
+    const moduleId = moduleData.id;
+    this.modules.delete(moduleId);
+    this.messageHandlers.delete(moduleId);
+    this.topics.unsubscribeWhere({ moduleId });
+    this.sandboxedModuleIds.delete(moduleId);
+    this.rejectPendingRequests(moduleId, `Module unloaded: ${moduleId}`);
+  }
+
+  assertCurrentRecord(moduleData) {
+    if (this.modules.get(moduleData.id) !== moduleData) {
+      throw new Error(`Module not found: ${moduleData.id}`);
+    }
+  }
+
+  async checkDependencies(dependencies) {
+    for (const dep of dependencies) {
+      if (dep === 'sprite-engine' && !this.spriteEngine) {
+        throw new Error('Sprite engine is required but not available');
+      }
+    }
   }
-}
 
-// Basic Module Classes
-class SpriteDemo {
-  constructor(id, spriteEngine, orchestrator) {
-    this.id = id;
-    this.spriteEngine = spriteEngine;
-    this.orchestrator = orchestrator;
-    this.sprites = [];
-    this.isActive = false;
+  // Versions may differ in what they need; without one, the newest decides
+  getModuleDependencies(moduleType, moduleConfig = this.moduleRegistry.get(moduleType)) {
+    if (!moduleConfig) {
+      return [];
+    }
+    
+    return (moduleConfig.dependencies || []).filter(dep => !SERVICE_DEPENDENCIES.has(dep));
   }
 
-  async activate() {
-    if (this.isActive) return;
+  // Depth-first topological sort; the requested type comes last. Prerequisites
+  // are loaded at their newest version, so their newest dependencies count.
+  resolveDependencyOrder(
+    moduleType,
+    moduleConfig = this.moduleRegistry.get(moduleType),
+    path = [],
+    visited = new Set(),
+    order = []
+  ) {
+    if (visited.has(moduleType)) {
+      return order;
+    }
     
-    console.log(`Activating Sprite Demo module: ${this.id}`);
+    const cycleStart = path.indexOf(moduleType);
+    if (cycleStart !== -1) {
+      const cycle = [...path.slice(cycleStart), moduleType].join(' -> ');
+      throw new Error(`Circular module dependency: ${cycle}`);
+    }
+    
+    if (!this.moduleRegistry.has(moduleType)) {
+      const requiredBy = path[path.length - 1];
+      throw new Error(requiredBy
+        ? `Unknown module type: ${moduleType} (required by ${requiredBy})`
+        : `Unknown module type: ${moduleType}`);
+    }
     
-    // Create demo sprites
-    await this.createDemoSprites();
+    path.push(moduleType);
+    for (const dep of this.getModuleDependencies(moduleType, moduleConfig)) {
+      this.resolveDependencyOrder(dep, this.moduleRegistry.get(dep), path, visited, order);
+    }
+    path.pop();
     
-    this.isActive = true;
+    visited.add(moduleType);
+    order.push(moduleType);
+    return order;
   }
 
-  async deactivate() {
-    if (!this.isActive) return;
+  async loadDependencies(moduleType, moduleConfig) {
+    const order = this.resolveDependencyOrder(moduleType, moduleConfig);
+    
+    for (const depType of order.slice(0, -1)) {
+      const existing = this.findModuleByType(depType);
+      if (!existing || this.needsReload(existing)) {
+        await this.loadModule(existing ? existing.id : this.createInstanceId(depType), depType, {});
+      }
+    }
     
-    console.log(`Deactivating Sprite Demo module: ${this.id}`);
+    return this.getModuleDependencies(moduleType, moduleConfig).map(depType => this.findModuleByType(depType).id);
+  }
+
+  async activateDependencies(moduleData) {
+    // A prerequisite may have been unloaded while this module sat inactive
+    const missing = moduleData.dependencies.some(depId => !this.modules.has(depId));
+    if (missing) {
+      moduleData.dependencies = await this.loadDependencies(moduleData.type, moduleData.config);
+    }
     
-    // Remove demo sprites
-    this.sprites.forEach(sprite => {
-      if (sprite.parent) {
-        sprite.parent.removeChild(sprite);
+    for (const depId of moduleData.dependencies) {
+      if (this.modules.get(depId).status !== ModuleState.ACTIVE) {
+        await this.activateModule(depId);
+      }
+    }
+  }
+
+  findModuleByType(moduleType) {
+    for (const moduleData of this.modules.values()) {
+      if (moduleData.type === moduleType) {
+        return moduleData;
+      }
+    }
+    return null;
+  }
+
+  getDependents(moduleId) {
+    return Array.from(this.modules.values())
+      .filter(moduleData => moduleData.dependencies.includes(moduleId))
+      .map(moduleData => moduleData.id);
+  }
+
+  assertNoActiveDependents(moduleId, action) {
+    const activeDependents = this.getDependents(moduleId)
+      .filter(dependentId => this.modules.get(dependentId).status === ModuleState.ACTIVE);
+    
+    if (activeDependents.length > 0) {
+      throw new Error(`Cannot ${action} ${moduleId}: required by active module(s) ${activeDependents.join(', ')}`);
+    }
+  }
+
+  sendMessage(fromModule, toModule, message, id = uuidv4()) {
+    const event = new CustomEvent('module-message', {
+      detail: {
+        from: fromModule,
+        to: toModule,
+        message,
+        timestamp: Date.now(),
+        id
       }
     });
-    this.sprites = [];
     
-    this.isActive = false;
+    this.communicationBus.dispatchEvent(event);
+    return id;
   }
 
-  async createDemoSprites() {
-    if (!this.spriteEngine || !this.spriteEngine.app) return;
+  request(fromModule, toModule, message, { timeout = DEFAULT_REQUEST_TIMEOUT } = {}) {
+    if (toModule !== 'orchestrator' && !this.modules.has(toModule)) {
+      return Promise.reject(new Error(`Unknown request target: ${toModule}`));
+    }
     
-    // Create colorful rectangles as demo sprites
-    for (let i = 0; i < 5; i++) {
-      const graphics = new PIXI.Graphics();
-      graphics.beginFill(Math.random() * 0xFFFFFF);
-      graphics.drawRect(0, 0, 50, 50);
-      graphics.endFill();
+    return new Promise((resolve, reject) => {
+      const requestId = uuidv4();
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Request ${message.type} to ${toModule} timed out after ${timeout}ms`));
+      }, timeout);
       
-      graphics.x = 100 + i * 80;
-      graphics.y = 100 + Math.sin(i) * 50;
-      
-      // Add simple animation
-      graphics._originalY = graphics.y;
-      graphics._animationOffset = i * 0.5;
+      this.pendingRequests.set(requestId, { resolve, reject, timer, from: fromModule, to: toModule });
+      this.sendMessage(fromModule, toModule, message, requestId);
+    });
+  }
+
+  registerRequestHandler(target, type, handler) {
+    if (!this.messageHandlers.has(target)) {
+      this.messageHandlers.set(target, new Map());
+    }
+    this.messageHandlers.get(target).set(type, handler);
+    
+    return () => {
+      const handlers = this.messageHandlers.get(target);
+      if (handlers && handlers.get(type) === handler) {
+        handlers.delete(type);
+      }
+    };
+  }
+
+  // Bus middleware; returns a function that removes it again
+  use(middleware) {
+    return this.middleware.use(middleware);
+  }
+
+  // Runs the before-dispatch chain; a rejected envelope goes no further
+  applyMiddleware(envelope) {
+    try {
+      return this.middleware.runBefore(envelope);
+    } catch (error) {
+      this.rejectEnvelope(envelope, error);
+      return null;
+    }
+  }
+
+  rejectEnvelope(envelope, error) {
+    const code = error.code || 'middleware-error';
+    this.emit('message-rejected', { envelope, reason: error.message, code });
+    this.deadLetter(envelope, code, error.message);
+  }
+
+  deadLetter(envelope, reason, detail) {
+    const awaitingRedelivery = this.redeliverDeadLetters
+      && envelope.kind === 'message'
+      && REDELIVERABLE_REASONS.has(reason);
+    
+    console.warn(`Undeliverable bus message ${envelope.id} from ${envelope.from} (${reason}): ${detail}`);
+    const { entry, evicted } = this.deadLetters.add(envelope, reason, { detail, awaitingRedelivery });
+    this.emit('message-dead-lettered', entry);
+    
+    if (!awaitingRedelivery) {
+      this.notifySender(envelope, reason, detail);
+    }
+    
+    for (const expired of evicted.filter(evictedEntry => evictedEntry.awaitingRedelivery)) {
+      this.notifySender(expired.envelope, DeadLetterReason.EXPIRED, 'Dropped from a full dead-letter queue');
+    }
+    
+    return { route: 'dead-letter', reason };
+  }
+
+  // The sender hears about it: requests reject, everything else gets a delivery-error message
+  notifySender(envelope, reason, detail) {
+    const { from, id } = envelope;
+    const error = new Error(detail);
+    error.code = reason;
+    
+    if (envelope.kind === 'message') {
+      const { message } = envelope;
+      const requestId = message.type === 'response' ? message.requestId : id;
+      const pending = this.pendingRequests.get(requestId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(requestId);
+        pending.reject(error);
+        return;
+      }
       
-      this.spriteEngine.app.stage.addChild(graphics);
-      this.sprites.push(graphics);
+      // Notices about responses or other notices could bounce forever
+      if (message.type === 'response' || message.type === 'delivery-error') return;
     }
     
-    // Start animation
-    this.animationTicker = this.spriteEngine.app.ticker.add(() => {
-      this.sprites.forEach((sprite, index) => {
-        sprite.y = sprite._originalY + Math.sin(Date.now() * 0.005 + sprite._animationOffset) * 30;
-        sprite.rotation += 0.02;
-      });
+    if (from === 'orchestrator' || !this.modules.has(from)) return;
+    
+    this.sendMessage('orchestrator', from, {
+      type: 'delivery-error',
+      messageId: id,
+      to: envelope.kind === 'topic' ? null : envelope.to,
+      topic: envelope.kind === 'topic' ? envelope.topic : null,
+      reason,
+      error: detail
     });
   }
 
-  destroy() {
-    this.deactivate();
-    if (this.animationTicker) {
-      this.spriteEngine.app.ticker.remove(this.animationTicker);
+  redeliverBufferedMessages(moduleId) {
+    for (const entry of this.deadLetters.takeRedeliverable(moduleId)) {
+      // The target's contract could not be checked while it was missing
+      if (!this.passesMessageContracts(entry.envelope)) continue;
+      
+      const outcome = this.dispatchModuleMessage(entry.envelope);
+      this.middleware.runAfter(entry.envelope, outcome);
+      this.emit('message-redelivered', { envelope: entry.envelope, outcome });
     }
   }
-}
 
-class ParticleSystem {
-  constructor(id, spriteEngine, orchestrator) {
-    this.id = id;
-    this.spriteEngine = spriteEngine;
-    this.orchestrator = orchestrator;
-    this.particles = [];
-    this.isActive = false;
+  getDeadLetters() {
+    return this.deadLetters.list();
   }
 
-  async activate() {
-    if (this.isActive) return;
+  clearDeadLetters() {
+    this.deadLetters.clear();
+  }
+
+  handleModuleMessage(eventDetail) {
+    const envelope = this.applyMiddleware(eventDetail);
+    if (!envelope || !this.passesMessageContracts(envelope)) return;
     
-    console.log(`Activating Particle System module: ${this.id}`);
+    const outcome = this.dispatchModuleMessage(envelope);
+    this.middleware.runAfter(envelope, outcome);
+  }
+
+  // Development builds hold direct messages to the contracts of both ends;
+  // types answered by a request handler are part of the target's API already
+  passesMessageContracts(envelope) {
+    if (!isDevelopment) return true;
     
-    this.createParticleEffect();
-    this.isActive = true;
+    const handlers = this.messageHandlers.get(envelope.to);
+    const handled = Boolean(handlers) && handlers.has(envelope.message.type);
+    try {
+      checkMessageContracts(envelope, {
+        sender: this.getMessageContract(envelope.from),
+        target: handled ? null : this.getMessageContract(envelope.to)
+      });
+      return true;
+    } catch (error) {
+      this.rejectEnvelope(envelope, error);
+      return false;
+    }
   }
 
-  async deactivate() {
-    if (!this.isActive) return;
+  getMessageContract(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    return moduleData ? moduleData.config.contract : null;
+  }
+
+  // What each registered module type accepts and sends, for browsing
+  getMessageCatalog() {
+    return Array.from(this.moduleRegistry.entries())
+      .filter(([, moduleConfig]) => moduleConfig.contract)
+      .map(([type, moduleConfig]) => ({
+        type,
+        name: moduleConfig.name,
+        version: moduleConfig.version,
+        ...describeMessageContract(moduleConfig.contract)
+      }));
+  }
+
+  dispatchModuleMessage(envelope) {
+    const { from, to, message, id } = envelope;
+    
+    // Responses settle the matching request() call
+    if (message.type === 'response' && this.pendingRequests.has(message.requestId)) {
+      this.settleRequest(message);
+      return { route: 'response' };
+    }
+    
+    const handlers = this.messageHandlers.get(to);
+    if (handlers && handlers.has(message.type)) {
+      this.invokeRequestHandler(handlers.get(message.type), from, to, message, id);
+      return { route: 'request-handler' };
+    }
     
-    console.log(`Deactivating Particle System module: ${this.id}`);
+    if (to === 'orchestrator') {
+      return this.deadLetter(envelope, DeadLetterReason.UNKNOWN_MESSAGE_TYPE, `Unknown orchestrator message type: ${message.type}`);
+    }
     
-    this.particles.forEach(particle => {
-      if (particle.parent) {
-        particle.parent.removeChild(particle);
+    // Forward to target module
+    const targetModule = this.modules.get(to);
+    if (!targetModule) {
+      return this.deadLetter(envelope, DeadLetterReason.UNKNOWN_TARGET, `Unknown message target: ${to}`);
+    }
+    if (!targetModule.instance) {
+      return this.deadLetter(envelope, DeadLetterReason.TARGET_NOT_READY, `Module ${to} is not loaded yet`);
+    }
+    if (!targetModule.instance.receiveMessage) {
+      return this.deadLetter(envelope, DeadLetterReason.NO_RECEIVER, `Module ${to} does not accept messages`);
+    }
+    
+    try {
+      targetModule.instance.receiveMessage(from, message, id);
+    } catch (error) {
+      // The receiver crashes, not the sender or whoever is dispatching
+      this.handleModuleCrash(to, error);
+      return this.deadLetter(envelope, DeadLetterReason.RECEIVER_FAILED, error.message);
+    }
+    return { route: 'module' };
+  }
+
+  async invokeRequestHandler(handler, from, to, message, id) {
+    try {
+      const data = await handler(message, { from, id });
+      this.sendResponse(from, id, data, { from: to });
+    } catch (error) {
+      console.error(`Request handler ${to}/${message.type} failed:`, error);
+      this.sendResponse(from, id, null, { from: to, error: error.message });
+    }
+  }
+
+  settleRequest(message) {
+    const pending = this.pendingRequests.get(message.requestId);
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(message.requestId);
+    
+    if (message.error) {
+      pending.reject(new Error(message.error));
+    } else {
+      pending.resolve(message.data);
+    }
+  }
+
+  rejectPendingRequests(moduleId, reason) {
+    for (const [requestId, pending] of this.pendingRequests) {
+      if (pending.to === moduleId || pending.from === moduleId) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(requestId);
+        pending.reject(new Error(reason));
+      }
+    }
+  }
+
+  sendResponse(toModule, requestId, data, { from = 'orchestrator', error } = {}) {
+    const event = new CustomEvent('module-message', {
+      detail: {
+        from,
+        to: toModule,
+        message: {
+          type: 'response',
+          requestId,
+          data,
+          ...(error && { error })
+        },
+        timestamp: Date.now(),
+        id: uuidv4()
       }
     });
-    this.particles = [];
-    
-    if (this.particleTicker) {
-      this.spriteEngine.app.ticker.remove(this.particleTicker);
-    }
-    
-    this.isActive = false;
-  }
-
-  createParticleEffect() {
-    if (!this.spriteEngine || !this.spriteEngine.app) return;
-    
-    const centerX = this.spriteEngine.app.screen.width / 2;
-    const centerY = this.spriteEngine.app.screen.height / 2;
-    
-    // Create particles
-    for (let i = 0; i < 20; i++) {
-      const particle = new PIXI.Graphics();
-      particle.beginFill(0xFFFFFF * Math.random());
-      particle.drawCircle(0, 0, 3);
-      particle.endFill();
-      
-      particle.x = centerX;
-      particle.y = centerY;
-      particle.vx = (Math.random() - 0.5) * 5;
-      particle.vy = (Math.random() - 0.5) * 5;
-      particle.life = 1.0;
-      particle.decay = 0.01;
-      
-      this.spriteEngine.app.stage.addChild(particle);
-      this.particles.push(particle);
-    }
-    
-    // Animation ticker
-    this.particleTicker = this.spriteEngine.app.ticker.add(() => {
-      this.particles.forEach((particle, index) => {
-        particle.x += particle.vx;
-        particle.y += particle.vy;
-        particle.life -= particle.decay;
-        particle.alpha = particle.life;
-        
-        if (particle.life <= 0) {
-          // Reset particle
-          particle.x = centerX;
-          particle.y = centerY;
-          particle.vx = (Math.random() - 0.5) * 5;
-          particle.vy = (Math.random() - 0.5) * 5;
-          particle.life = 1.0;
-        }
-      });
+    
+    this.communicationBus.dispatchEvent(event);
+  }
+
+  subscribe(moduleId, topic, handler) {
+    const subscription = this.topics.subscribe(moduleId, topic, handler);
+    
+    // Late subscribers receive the last retained value straight away
+    for (const envelope of this.topics.getRetained(topic)) {
+      this.deliverTopicMessage(subscription, envelope, true);
+    }
+    
+    return () => this.topics.unsubscribe(subscription);
+  }
+
+  unsubscribe(moduleId, topic, handler) {
+    this.topics.unsubscribeWhere({ moduleId, pattern: topic, handler });
+  }
+
+  publish(fromModule, topic, data, { retain = false } = {}) {
+    if (isWildcardTopic(topic)) {
+      throw new Error(`Cannot publish to wildcard topic: ${topic}`);
+    }
+    
+    const id = uuidv4();
+    const event = new CustomEvent('topic-message', {
+      detail: {
+        from: fromModule,
+        topic,
+        data,
+        retain,
+        timestamp: Date.now(),
+        id
+      }
     });
+    
+    this.communicationBus.dispatchEvent(event);
+    return id;
   }
 
-  destroy() {
-    this.deactivate();
+  handleTopicMessage(eventDetail) {
+    const envelope = this.applyMiddleware(eventDetail);
+    if (!envelope) return;
+    
+    if (envelope.retain) {
+      this.topics.retain(envelope);
+    }
+    
+    const subscriptions = this.topics.getSubscribers(envelope.topic);
+    for (const subscription of subscriptions) {
+      this.deliverTopicMessage(subscription, envelope, false);
+    }
+    
+    this.middleware.runAfter(envelope, { route: 'topic', subscribers: subscriptions.length });
+  }
+
+  deliverTopicMessage(subscription, envelope, retained) {
+    const { from, topic, data, timestamp, id } = envelope;
+    
+    try {
+      subscription.handler(data, { from, topic, timestamp, id, retained });
+    } catch (error) {
+      console.error(`Topic subscriber ${subscription.moduleId} failed on ${topic}:`, error);
+    }
+  }
+
+  handleSystemEvent(eventDetail) {
+    const { type, data } = eventDetail;
+    
+    switch (type) {
+      case 'performance-update':
+        this.emit('performance-update', data);
+        break;
+      default:
+        console.log(`System event: ${type}`, data);
+    }
+  }
+
+  isSandboxed(moduleId) {
+    return this.sandboxedModuleIds.has(moduleId);
+  }
+
+  // A plain description, never the instance: handing out instances would let
+  // a module use another module's context and permissions
+  getModule(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    return moduleData ? this.describeModule(moduleData) : null;
+  }
+
+  getModules() {
+    return Array.from(this.modules.values()).map(moduleData => this.describeModule(moduleData));
   }
-}
 
-class UIOverlay {
-  constructor(id, orchestrator) {
-    this.id = id;
-    this.orchestrator = orchestrator;
-    this.isActive = false;
+  describeModule(moduleData) {
+    return {
+      id: moduleData.id,
+      type: moduleData.type,
+      status: moduleData.status,
+      error: moduleData.lifecycle.errorReason,
+      name: moduleData.name,
+      typeName: moduleData.config.name,
+      description: moduleData.config.description,
+      version: moduleData.config.version,
+      config: { ...moduleData.instanceConfig },
+      dependencies: [...moduleData.dependencies],
+      restartPolicy: { ...moduleData.restartPolicy },
+      restartAttempts: moduleData.restartAttempts,
+      restartPending: moduleData.restartTimer !== null,
+      disabled: moduleData.disabled,
+      permissions: this.getPermissionState(moduleData)
+    };
   }
 
-  async activate() {
-    if (this.isActive) return;
+  // Detailed view of one instance for developer tooling
+  inspectModule(moduleId) {
+    const moduleData = this.modules.get(moduleId);
+    if (!moduleData) return null;
     
-    console.log(`Activating UI Overlay module: ${this.id}`);
-    this.isActive = true;
+    const { context } = moduleData;
+    return {
+      id: moduleData.id,
+      type: moduleData.type,
+      name: moduleData.name,
+      status: moduleData.status,
+      sandboxed: this.isSandboxed(moduleId),
+      config: moduleData.instanceConfig ? { ...moduleData.instanceConfig } : null,
+      resources: context.getResourceCounts(),
+      displayObjects: context.listResources('display-object'),
+      layerChildren: moduleData.layer ? moduleData.layer.children.length : 0
+    };
   }
 
-  async deactivate() {
-    if (!this.isActive) return;
+  getModuleTypes() {
+    return Array.from(this.moduleRegistry.entries()).map(([type, moduleConfig]) => ({
+      type,
+      name: moduleConfig.name,
+      description: moduleConfig.description,
+      version: moduleConfig.version,
+      versions: this.getModuleVersions(type),
+      hostApi: { ...moduleConfig.hostApi },
+      dependencies: [...(moduleConfig.dependencies || [])]
+    }));
+  }
+
+  // Dependents go before the modules they rely on
+  getUnloadOrder() {
+    const order = [];
+    const visited = new Set();
+    
+    const visit = (moduleId) => {
+      if (visited.has(moduleId) || !this.modules.has(moduleId)) return;
+      visited.add(moduleId);
+      this.modules.get(moduleId).dependencies.forEach(visit);
+      order.push(moduleId);
+    };
     
-    console.log(`Deactivating UI Overlay module: ${this.id}`);
-    this.isActive = false;
+    this.modules.forEach((moduleData, moduleId) => visit(moduleId));
+    return order.reverse();
+  }
+
+  shutdown({ unloadTimeout = DEFAULT_UNLOAD_TIMEOUT, destroyEngine = true } = {}) {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.performShutdown(unloadTimeout, destroyEngine);
+    }
+    return this.shutdownPromise;
+  }
+
+  async performShutdown(unloadTimeout, destroyEngine) {
+    console.log('Shutting down Core Orchestrator...');
+    
+    // Write any pending change, then keep the session from recording the teardown
+    if (this.sessionSaveTimer) {
+      clearTimeout(this.sessionSaveTimer);
+      await this.saveSession();
+    }
+    this.detachSessionStore();
+    
+    for (const moduleData of this.modules.values()) {
+      clearTimeout(moduleData.restartTimer);
+      moduleData.restartTimer = null;
+    }
+    
+    for (const moduleId of this.getUnloadOrder()) {
+      const moduleData = this.modules.get(moduleId);
+      if (!moduleData) continue;
+      
+      try {
+        await withTimeout(
+          this.unloadModule(moduleId),
+          unloadTimeout,
+          `Unloading ${moduleId} timed out after ${unloadTimeout}ms`
+        );
+      } catch (error) {
+        console.warn(`Forcing removal of module ${moduleId}:`, error.message);
+        this.forceRemoveModule(moduleData);
+      }
+    }
+    
+    // Fail any requests still waiting for an answer
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Core Orchestrator destroyed'));
+    }
+    this.pendingRequests.clear();
+    
+    this.modules.clear();
+    this.moduleRegistry.clear();
+    this.moduleVersions.clear();
+    this.messageHandlers.clear();
+    this.topics.clear();
+    this.middleware.clear();
+    this.deadLetters.clear();
+    this.isInitialized = false;
+    
+    // The engine goes last, once no module can touch the stage any more
+    if (destroyEngine && this.spriteEngine) {
+      this.spriteEngine.destroy();
+    }
+    this.spriteEngine = null;
+    
+    this.emit('shutdown');
+    this.removeAllListeners();
+    console.log('Core Orchestrator destroyed');
+  }
+
+  // Last resort for a module whose teardown hung or threw
+  forceRemoveModule(moduleData) {
+    if (this.modules.get(moduleData.id) !== moduleData) return;
+    
+    const { instance } = moduleData;
+    if (instance && typeof instance.terminate === 'function') {
+      instance.terminate();
+    }
+    moduleData.context.dispose();
+    this.removeModuleLayer(moduleData);
+    this.releaseModuleRecord(moduleData);
+    this.emit('module-unloaded', { moduleId: moduleData.id, forced: true });
   }
 
   destroy() {
-    this.deactivate();
+    return this.shutdown();
   }
-}
\ No newline at end of file
+}
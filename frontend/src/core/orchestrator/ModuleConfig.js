@@ -0,0 +1,79 @@
+import { z } from 'zod';
+import { formatSchemaIssues } from '../shared/SchemaIssues';
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const withBounds = (schema, { min, max }) => {
+  let bounded = schema;
+  if (typeof min === 'number') bounded = bounded.min(min);
+  if (typeof max === 'number') bounded = bounded.max(max);
+  return bounded;
+};
+
+// Base schema for each field type a manifest can declare in "configSchema"
+const FIELD_TYPES = {
+  number: (field) => withBounds(z.number(), field),
+  integer: (field) => withBounds(z.number().int(), field),
+  boolean: () => z.boolean(),
+  string: () => z.string(),
+  color: () => z.string().regex(COLOR_PATTERN, 'Expected a colour like #ff8800'),
+  select: (field) => {
+    const options = (field.options || []).map(option => (
+      typeof option === 'object' ? option.value : option
+    ));
+    if (options.length === 0) {
+      throw new Error('Select fields need at least one option');
+    }
+    // Options keep their own type, so numeric selects accept numeric values
+    const literals = options.map(option => z.literal(option));
+    return literals.length === 1 ? literals[0] : z.union(literals);
+  }
+};
+
+// Turns the JSON field descriptors of a manifest into a zod object schema.
+// Module types registered in code may pass a zod schema directly.
+export const buildConfigSchema = (fields = {}, moduleType = 'module') => {
+  if (fields instanceof z.ZodType) {
+    return fields;
+  }
+
+  const shape = {};
+  for (const [key, field] of Object.entries(fields)) {
+    const createSchema = FIELD_TYPES[field.type];
+    if (!createSchema) {
+      throw new Error(`Unknown config field type for ${moduleType}.${key}: ${field.type}`);
+    }
+    
+    let schema = createSchema(field);
+    if (field.default !== undefined) {
+      schema = schema.default(field.default);
+    }
+    shape[key] = schema;
+  }
+
+  return z.object(shape).strict();
+};
+
+// Defaults declared by the schema, used to reset a module's settings
+export const getConfigDefaults = (schema) => {
+  const defaults = {};
+  if (!(schema instanceof z.ZodObject)) {
+    return defaults;
+  }
+
+  for (const [key, field] of Object.entries(schema.shape)) {
+    if (field instanceof z.ZodDefault) {
+      defaults[key] = field._def.defaultValue();
+    }
+  }
+  return defaults;
+};
+
+// Fills in defaults and rejects anything the schema does not describe
+export const validateConfig = (schema, config = {}, moduleId = 'module') => {
+  const result = schema.safeParse(config || {});
+  if (!result.success) {
+    throw new Error(`Invalid config for ${moduleId}: ${formatSchemaIssues(result.error)}`);
+  }
+  return result.data;
+};
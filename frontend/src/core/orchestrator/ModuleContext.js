@@ -0,0 +1,309 @@
+// Scoped services handed to each module. Everything created through the
+// context is tracked and torn down by the orchestrator: resources created
+// while the module is active are released on deactivate, the rest on unload.
+// Services behind a permission throw until the user has granted it. The
+// orchestrator itself stays out of reach, so a permission cannot be sidestepped
+// by going through it.
+
+const isDevelopment = process.env.NODE_ENV !== 'production';
+
+// For the context's own bookkeeping, which must not depend on the module's permissions
+const getHostApp = (orchestrator) => (orchestrator.spriteEngine ? orchestrator.spriteEngine.app : null);
+
+export class ModuleContext {
+  #orchestrator;
+
+  #getLayer;
+
+  // getLayer returns the render layer the orchestrator currently gives the module
+  constructor(moduleId, orchestrator, getLayer = () => null) {
+    this.moduleId = moduleId;
+    this.#orchestrator = orchestrator;
+    this.#getLayer = getLayer;
+    this.scopes = {
+      module: new Set(),
+      activation: new Set()
+    };
+    this.currentScope = 'module';
+    this.stageSnapshot = null;
+    this.crashed = false;
+  }
+
+  get spriteEngine() {
+    this.requirePermission('render');
+    return this.#orchestrator.spriteEngine;
+  }
+
+  get layer() {
+    this.requirePermission('render');
+    return this.#getLayer();
+  }
+
+  get app() {
+    return this.spriteEngine ? this.spriteEngine.app : null;
+  }
+
+  requirePermission(permission) {
+    this.#orchestrator.assertPermission(this.moduleId, permission);
+  }
+
+  track(kind, resource, dispose, label = kind) {
+    const entry = { kind, resource, dispose, label };
+    this.scopes[this.currentScope].add(entry);
+    return entry;
+  }
+
+  release(resource) {
+    for (const scope of Object.values(this.scopes)) {
+      for (const entry of scope) {
+        if (entry.resource === resource) {
+          scope.delete(entry);
+          entry.dispose();
+        }
+      }
+    }
+  }
+
+  // Callbacks invoked by PIXI, timers or the DOM report failures to the
+  // orchestrator instead of throwing into whoever called them. After the
+  // first failure the module's callbacks stay silent until it is activated again.
+  guard(callback) {
+    const context = this;
+    
+    return function guardedCallback(...args) {
+      if (context.crashed) return undefined;
+      
+      try {
+        const result = callback.apply(this, args);
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => context.crash(error));
+        }
+        return result;
+      } catch (error) {
+        context.crash(error);
+        return undefined;
+      }
+    };
+  }
+
+  crash(error) {
+    if (this.crashed) return;
+    
+    this.crashed = true;
+    this.#orchestrator.handleModuleCrash(this.moduleId, error);
+  }
+
+  // Display objects go to the module's own render layer by default
+  addChild(displayObject, parent = null) {
+    this.requirePermission('render');
+    (parent || this.#getLayer() || this.app.stage).addChild(displayObject);
+    this.#orchestrator.trackedDisplayObjects.add(displayObject);
+    this.track('display-object', displayObject, () => {
+      if (displayObject.parent) {
+        displayObject.parent.removeChild(displayObject);
+      }
+      if (!displayObject.destroyed) {
+        displayObject.destroy({ children: true });
+      }
+    }, displayObject.label || displayObject.constructor.name);
+    return displayObject;
+  }
+
+  addTicker(callback, context) {
+    this.requirePermission('render');
+    const ticker = this.app.ticker;
+    const guarded = this.guard(callback);
+    ticker.add(guarded, context);
+    this.track('ticker', callback, () => ticker.remove(guarded, context), callback.name || 'ticker callback');
+    return callback;
+  }
+
+  setTimeout(callback, delay) {
+    let entry = null;
+    const guarded = this.guard(callback);
+    const timer = setTimeout(() => {
+      this.forget(entry);
+      guarded();
+    }, delay);
+    entry = this.track('timer', timer, () => clearTimeout(timer), `timeout ${delay}ms`);
+    return timer;
+  }
+
+  setInterval(callback, delay) {
+    const timer = setInterval(this.guard(callback), delay);
+    this.track('timer', timer, () => clearInterval(timer), `interval ${delay}ms`);
+    return timer;
+  }
+
+  addEventListener(target, type, listener, options) {
+    const guarded = this.guard(listener);
+    target.addEventListener(type, guarded, options);
+    this.track('event-listener', listener, () => target.removeEventListener(type, guarded, options), `${type} listener`);
+    return listener;
+  }
+
+  subscribe(topic, handler) {
+    // A throwing handler crashes the module, like its timers and listeners
+    const unsubscribe = this.#orchestrator.subscribe(this.moduleId, topic, this.guard(handler));
+    this.track('subscription', handler, unsubscribe, `topic ${topic}`);
+    return () => this.release(handler);
+  }
+
+  registerRequestHandler(type, handler) {
+    const unregister = this.#orchestrator.registerRequestHandler(this.moduleId, type, handler);
+    this.track('request-handler', handler, unregister, `request ${type}`);
+    return () => this.release(handler);
+  }
+
+  // Aborted if still running when the module is torn down
+  fetch(url, options = {}) {
+    this.requirePermission('network');
+    
+    const controller = new AbortController();
+    const entry = this.track('request', controller, () => controller.abort(), `fetch ${url}`);
+    return fetch(url, { ...options, signal: controller.signal }).finally(() => this.forget(entry));
+  }
+
+  createAudioContext(options) {
+    this.requirePermission('audio');
+    
+    const audioContext = new AudioContext(options);
+    this.track('audio-context', audioContext, () => audioContext.close(), 'audio context');
+    return audioContext;
+  }
+
+  // localStorage, namespaced to this module instance
+  get storage() {
+    this.requirePermission('storage');
+    
+    const prefix = `etherion:module-data:${this.moduleId}:`;
+    return {
+      getItem: key => window.localStorage.getItem(prefix + key),
+      setItem: (key, value) => window.localStorage.setItem(prefix + key, value),
+      removeItem: key => window.localStorage.removeItem(prefix + key)
+    };
+  }
+
+  getModule(moduleId) {
+    this.requirePermission('read-other-modules');
+    return this.#orchestrator.getModule(moduleId);
+  }
+
+  getModules() {
+    this.requirePermission('read-other-modules');
+    return this.#orchestrator.getModules();
+  }
+
+  sendMessage(toModule, message) {
+    return this.#orchestrator.sendMessage(this.moduleId, toModule, message);
+  }
+
+  request(toModule, message, options) {
+    return this.#orchestrator.request(this.moduleId, toModule, message, options);
+  }
+
+  publish(topic, data, options) {
+    return this.#orchestrator.publish(this.moduleId, topic, data, options);
+  }
+
+  forget(entry) {
+    for (const scope of Object.values(this.scopes)) {
+      scope.delete(entry);
+    }
+  }
+
+  beginActivation() {
+    this.currentScope = 'activation';
+    this.crashed = false;
+    const app = getHostApp(this.#orchestrator);
+    if (isDevelopment && app) {
+      this.stageSnapshot = new Set(app.stage.children);
+    }
+  }
+
+  endActivation() {
+    const leaks = this.disposeScope('activation');
+    this.currentScope = 'module';
+    
+    const app = getHostApp(this.#orchestrator);
+    if (isDevelopment && this.stageSnapshot && app) {
+      // Anything attached straight to the stage behind the context's back
+      for (const child of app.stage.children) {
+        if (!this.stageSnapshot.has(child) && !this.#orchestrator.trackedDisplayObjects.has(child)) {
+          leaks.push({ kind: 'untracked-display-object', label: child.label || child.constructor.name });
+        }
+      }
+    }
+    
+    const layer = this.#getLayer();
+    if (isDevelopment && layer) {
+      // Objects the module keeps until unload are fine; anything else outlived its activation
+      for (const child of layer.children) {
+        if (!this.isTrackedDisplayObject(child)) {
+          leaks.push({ kind: 'layer-child', label: child.label || child.constructor.name });
+        }
+      }
+    }
+    this.stageSnapshot = null;
+    
+    return leaks;
+  }
+
+  isTrackedDisplayObject(displayObject) {
+    if (this.#orchestrator.trackedDisplayObjects.has(displayObject)) {
+      return true;
+    }
+    return Array.from(this.scopes.module).some(entry => entry.resource === displayObject);
+  }
+
+  dispose() {
+    const leaks = [
+      ...this.disposeScope('activation'),
+      ...this.disposeScope('module')
+    ];
+    this.currentScope = 'module';
+    this.stageSnapshot = null;
+    return leaks;
+  }
+
+  // Returns whatever survived its teardown
+  disposeScope(scopeName) {
+    const leaks = [];
+    const entries = Array.from(this.scopes[scopeName]).reverse();
+    this.scopes[scopeName].clear();
+    
+    for (const entry of entries) {
+      try {
+        entry.dispose();
+        if (entry.kind === 'display-object' && entry.resource.parent) {
+          leaks.push({ kind: entry.kind, label: entry.label });
+        }
+      } catch (error) {
+        leaks.push({ kind: entry.kind, label: entry.label, error: error.message });
+      }
+    }
+    
+    return leaks;
+  }
+
+  listResources(kind = null) {
+    const resources = [];
+    for (const [scope, entries] of Object.entries(this.scopes)) {
+      for (const entry of entries) {
+        if (kind && entry.kind !== kind) continue;
+        resources.push({ kind: entry.kind, label: entry.label, scope });
+      }
+    }
+    return resources;
+  }
+
+  getResourceCounts() {
+    const counts = {};
+    for (const scope of Object.values(this.scopes)) {
+      for (const entry of scope) {
+        counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+}
@@ -0,0 +1,71 @@
+export const ModuleState = Object.freeze({
+  REGISTERED: 'registered',
+  LOADING: 'loading',
+  LOADED: 'loaded',
+  ACTIVATING: 'activating',
+  ACTIVE: 'active',
+  DEACTIVATING: 'deactivating',
+  UNLOADING: 'unloading',
+  UNLOADED: 'unloaded',
+  ERROR: 'error'
+});
+
+const {
+  REGISTERED, LOADING, LOADED, ACTIVATING, ACTIVE, DEACTIVATING, UNLOADING, UNLOADED, ERROR
+} = ModuleState;
+
+// Allowed next states; "unloaded" is terminal and the record is dropped
+const TRANSITIONS = {
+  [REGISTERED]: [LOADING],
+  [LOADING]: [LOADED, ERROR],
+  [LOADED]: [ACTIVATING, UNLOADING, ERROR],
+  [ACTIVATING]: [ACTIVE, ERROR],
+  [ACTIVE]: [DEACTIVATING, ERROR],
+  [DEACTIVATING]: [LOADED, ERROR],
+  [UNLOADING]: [UNLOADED, ERROR],
+  [ERROR]: [LOADING, ACTIVATING, DEACTIVATING, UNLOADING],
+  [UNLOADED]: []
+};
+
+export const TRANSITIONAL_STATES = new Set([LOADING, ACTIVATING, DEACTIVATING, UNLOADING]);
+
+export const canTransition = (from, to) => TRANSITIONS[from].includes(to);
+
+export class ModuleLifecycle {
+  constructor(moduleId, onTransition) {
+    this.moduleId = moduleId;
+    this.state = REGISTERED;
+    this.errorReason = null;
+    this.onTransition = onTransition;
+    this.queue = Promise.resolve();
+  }
+
+  transition(to, reason = null) {
+    const from = this.state;
+    if (!canTransition(from, to)) {
+      throw new Error(`Illegal lifecycle transition for ${this.moduleId}: ${from} -> ${to}`);
+    }
+    
+    this.state = to;
+    this.errorReason = to === ERROR ? reason : null;
+    this.onTransition({ moduleId: this.moduleId, from, to, reason, timestamp: Date.now() });
+  }
+
+  fail(error) {
+    const reason = (error && error.message) || String(error);
+    
+    // A second failure only refreshes the recorded reason
+    if (this.state === ERROR) {
+      this.errorReason = reason;
+      return;
+    }
+    this.transition(ERROR, reason);
+  }
+
+  // Transitions for one module run strictly one after another
+  run(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
@@ -0,0 +1,88 @@
+import { z } from 'zod';
+import { isValidRange } from './ModuleVersion';
+import { PERMISSION_IDS } from './ModulePermissions';
+import { formatSchemaIssues } from '../shared/SchemaIssues';
+
+const configFieldSchema = z.object({
+  type: z.enum(['number', 'integer', 'boolean', 'string', 'color', 'select'])
+}).passthrough();
+
+// Payload fields per message type, described like config fields
+const messageTypesSchema = z.record(z.record(configFieldSchema));
+
+// What happens after a module crashes: "never" leaves it in the error state,
+// "restart" re-activates it with exponential backoff, "disable" blocks it
+// until it is enabled again
+export const restartPolicySchema = z.object({
+  mode: z.enum(['never', 'restart', 'disable']).default('never'),
+  maxRestarts: z.number().int().min(0).default(3),
+  backoffMs: z.number().min(0).default(1000)
+}).default({});
+
+// How a module's render layer appears on activate ("enter") and disappears
+// on deactivate ("exit"). Slides move toward "direction".
+const layerTransitionSchema = z.object({
+  type: z.enum(['none', 'fade', 'slide', 'scale']).default('none'),
+  duration: z.number().min(0).default(300),
+  easing: z.enum(['linear', 'easeIn', 'easeOut', 'easeInOut']).default('easeOut'),
+  direction: z.enum(['left', 'right', 'up', 'down']).default('up')
+}).default({});
+
+export const transitionsSchema = z.object({
+  enter: layerTransitionSchema,
+  exit: layerTransitionSchema
+}).default({});
+
+const manifestSchema = z.object({
+  id: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'Module id must be lowercase kebab-case'),
+  name: z.string().min(1),
+  version: z.string().regex(/^\d+\.\d+\.\d+(?:[-+].*)?$/, 'Module version must be semver'),
+  description: z.string().default(''),
+  // Default-exports the module class, constructed as new Module(id, context, config)
+  entry: z.string().min(1),
+  dependencies: z.array(z.string()).default([]),
+  configSchema: z.record(configFieldSchema).default({}),
+  assets: z.array(z.string()).default([]),
+  // "worker" runs the entry in a Web Worker behind the sandbox API
+  isolation: z.enum(['none', 'worker']).default('none'),
+  restartPolicy: restartPolicySchema,
+  transitions: transitionsSchema,
+  // Host API version ranges the module was written against, e.g. { "orchestrator": "^2.0.0" }.
+  // The orchestrator range is required because it decides how the entry class
+  // is constructed; entries written for the (id, spriteEngine, orchestrator,
+  // config) constructor of orchestrator API 1.x are refused as incompatible.
+  hostApi: z.record(z.string().refine(isValidRange, 'Invalid version range'))
+    .refine(hostApi => 'orchestrator' in hostApi, 'Manifests must declare the orchestrator API they target')
+    .default({}),
+  // Capabilities the user is asked to grant before the first activation
+  permissions: z.array(z.enum(PERMISSION_IDS)).default([]),
+  // Direct messages the module accepts and sends; see MessageContracts
+  messages: z.object({
+    accepts: messageTypesSchema.optional(),
+    emits: messageTypesSchema.optional()
+  }).optional()
+}).passthrough();
+
+export const parseManifest = (manifest, source = 'manifest') => {
+  const result = manifestSchema.safeParse(manifest);
+  if (!result.success) {
+    throw new Error(`Invalid module manifest (${source}): ${formatSchemaIssues(result.error)}`);
+  }
+  return result.data;
+};
+
+export const fetchManifest = async (manifestUrl) => {
+  const response = await fetch(manifestUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch module manifest ${manifestUrl}: ${response.status}`);
+  }
+  
+  const manifest = parseManifest(await response.json(), manifestUrl);
+  const entryUrl = new URL(manifest.entry, new URL(manifestUrl, window.location.href)).href;
+  
+  return {
+    manifest,
+    entryUrl,
+    load: () => import(/* webpackIgnore: true */ entryUrl)
+  };
+};
@@ -0,0 +1,38 @@
+// Capabilities a module has to declare in its manifest ("permissions") and the
+// user has to grant before the module is first activated. They gate the
+// services handed out through ModuleContext; code running in the main realm
+// can still reach browser globals directly, which only worker isolation prevents.
+export const PERMISSIONS = Object.freeze({
+  render: {
+    label: 'Render',
+    description: 'Draw on the canvas and run code every frame'
+  },
+  audio: {
+    label: 'Audio',
+    description: 'Play sound through the Web Audio API'
+  },
+  network: {
+    label: 'Network',
+    description: 'Make network requests'
+  },
+  storage: {
+    label: 'Storage',
+    description: 'Keep data in this browser between visits'
+  },
+  'read-other-modules': {
+    label: 'Read other modules',
+    description: 'Look at other running modules and their settings'
+  }
+});
+
+export const PERMISSION_IDS = Object.keys(PERMISSIONS);
+
+export class ModulePermissionError extends Error {
+  constructor(moduleId, permission, reason = 'was not granted') {
+    super(`Module ${moduleId} needs the "${permission}" permission, which ${reason}`);
+    this.name = 'ModulePermissionError';
+    this.code = 'permission-denied';
+    this.moduleId = moduleId;
+    this.permission = permission;
+  }
+}
@@ -0,0 +1,166 @@
+// The API versions this host offers to modules. Bump the major version of an
+// entry whenever a change would break modules written against the old one.
+// 2.0.0: module classes are constructed as (id, context, config) instead of
+// (id, spriteEngine, orchestrator, config)
+export const HOST_API_VERSIONS = Object.freeze({
+  orchestrator: '2.0.0',
+  'sprite-engine': '1.0.0'
+});
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/;
+
+export const parseVersion = (version) => {
+  const match = VERSION_PATTERN.exec(String(version).trim());
+  if (!match) {
+    throw new Error(`Invalid semver version: ${version}`);
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+};
+
+const compareIdentifiers = (left, right) => {
+  const leftNumeric = /^\d+$/.test(left);
+  const rightNumeric = /^\d+$/.test(right);
+
+  if (leftNumeric && rightNumeric) return Number(left) - Number(right);
+  if (leftNumeric) return -1;
+  if (rightNumeric) return 1;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+const compareParsed = (left, right) => {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] - right[part];
+    }
+  }
+
+  // A prerelease sorts before its release
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let index = 0; index < length; index += 1) {
+    if (left.prerelease[index] === undefined) return -1;
+    if (right.prerelease[index] === undefined) return 1;
+
+    const difference = compareIdentifiers(left.prerelease[index], right.prerelease[index]);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+export const compareVersions = (left, right) => compareParsed(parseVersion(left), parseVersion(right));
+
+const version = (major, minor, patch, prerelease = []) => ({ major, minor, patch, prerelease });
+
+// Turns one comparator ("^1.2", ">=2.0.0", "1.x") into lower/upper bounds
+const parseComparator = (comparator) => {
+  const [, operator = '', rest] = COMPARATOR_PATTERN.exec(comparator);
+  const match = PARTIAL_PATTERN.exec(rest.trim());
+  if (!match) {
+    throw new Error(`Invalid version range: ${comparator}`);
+  }
+
+  const parts = match.slice(1, 4).map(part => (part === undefined || /^[xX*]$/.test(part) ? null : Number(part)));
+  const [major, minor, patch] = parts;
+  const prerelease = match[4] ? match[4].split('.') : [];
+  const floor = version(major || 0, minor || 0, patch || 0, prerelease);
+
+  if (major === null) {
+    return [];
+  }
+
+  switch (operator) {
+    case '^': {
+      if (major > 0 || minor === null) return [['>=', floor], ['<', version(major + 1, 0, 0)]];
+      if (minor > 0 || patch === null) return [['>=', floor], ['<', version(0, minor + 1, 0)]];
+      return [['>=', floor], ['<', version(0, 0, patch + 1)]];
+    }
+    case '~':
+      return minor === null
+        ? [['>=', floor], ['<', version(major + 1, 0, 0)]]
+        : [['>=', floor], ['<', version(major, minor + 1, 0)]];
+    // Missing parts are wildcards here too: ">1.2" leaves out all of 1.2.x
+    case '>':
+      if (minor === null) return [['>=', version(major + 1, 0, 0)]];
+      if (patch === null) return [['>=', version(major, minor + 1, 0)]];
+      return [['>', floor]];
+    case '<=':
+      if (minor === null) return [['<', version(major + 1, 0, 0)]];
+      if (patch === null) return [['<', version(major, minor + 1, 0)]];
+      return [['<=', floor]];
+    case '':
+    case '=':
+      // Missing parts act as wildcards: "1.2" means any 1.2.x
+      if (minor === null) return [['>=', floor], ['<', version(major + 1, 0, 0)]];
+      if (patch === null) return [['>=', floor], ['<', version(major, minor + 1, 0)]];
+      return [['=', floor]];
+    default:
+      return [[operator, floor]];
+  }
+};
+
+const TESTS = {
+  '=': difference => difference === 0,
+  '>': difference => difference > 0,
+  '>=': difference => difference >= 0,
+  '<': difference => difference < 0,
+  '<=': difference => difference <= 0
+};
+
+// A subset of npm's range syntax: exact versions, x-ranges, ^, ~, comparison
+// operators, space-separated intersections and "||" unions
+const parseRange = (range) => String(range).split('||').map(set => set
+  .trim()
+  .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+  .split(/\s+/)
+  .filter(Boolean)
+  .flatMap(parseComparator));
+
+// As in npm, a prerelease only matches a range that names a prerelease of the
+// same version, so "^1.0.0" does not pick up 2.0.0-beta.1
+const admitsPrerelease = (bounds, candidate) => bounds.some(([, bound]) => (
+  bound.prerelease.length > 0
+  && bound.major === candidate.major
+  && bound.minor === candidate.minor
+  && bound.patch === candidate.patch
+));
+
+export const satisfies = (candidate, range = '*', { includePrerelease = false } = {}) => {
+  const parsed = parseVersion(candidate);
+  
+  return parseRange(range).some(bounds => (
+    bounds.every(([operator, bound]) => TESTS[operator](compareParsed(parsed, bound)))
+    && (includePrerelease || parsed.prerelease.length === 0 || admitsPrerelease(bounds, parsed))
+  ));
+};
+
+export const isValidRange = (range) => {
+  try {
+    parseRange(range);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Every unmet host API requirement, as a readable sentence
+export const findIncompatibilities = (hostApi = {}, hostVersions = HOST_API_VERSIONS) => (
+  Object.entries(hostApi)
+    .filter(([api, range]) => !hostVersions[api] || !satisfies(hostVersions[api], range))
+    .map(([api, range]) => (
+      hostVersions[api]
+        ? `needs ${api} API ${range} but this host provides ${hostVersions[api]}`
+        : `needs ${api} API ${range} which this host does not provide`
+    ))
+);
@@ -0,0 +1,75 @@
+import { compareVersions, isValidRange, parseVersion, satisfies } from './ModuleVersion';
+
+describe('parseVersion', () => {
+  it('splits a version into its parts', () => {
+    expect(parseVersion('v1.2.3-beta.1+build.5')).toEqual({
+      major: 1,
+      minor: 2,
+      patch: 3,
+      prerelease: ['beta', '1']
+    });
+  });
+
+  it('rejects partial versions', () => {
+    expect(() => parseVersion('1.2')).toThrow('Invalid semver version: 1.2');
+  });
+});
+
+describe('compareVersions', () => {
+  it('orders prereleases before their release', () => {
+    const sorted = ['1.0.0', '1.0.0-beta.2', '1.0.0-alpha', '1.0.0-beta.11', '0.9.9'].sort(compareVersions);
+    expect(sorted).toEqual(['0.9.9', '1.0.0-alpha', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0']);
+  });
+});
+
+describe('satisfies', () => {
+  it.each([
+    ['1.4.0', '*', true],
+    ['1.4.0', '1.x', true],
+    ['2.0.0', '1.x', false],
+    ['1.2.9', '1.2', true],
+    ['1.3.0', '1.2', false],
+    ['1.9.0', '^1.2.3', true],
+    ['2.0.0', '^1.2.3', false],
+    ['0.2.5', '^0.2.3', true],
+    ['0.3.0', '^0.2.3', false],
+    ['0.0.4', '^0.0.3', false],
+    ['1.2.9', '~1.2.3', true],
+    ['1.3.0', '~1.2.3', false],
+    ['1.5.0', '>=1.2.0 <2.0.0', true],
+    ['2.1.0', '^1.0.0 || ^2.0.0', true],
+    ['3.0.0', '^1.0.0 || ^2.0.0', false],
+    ['1.2.0', '>= 1.2.0', true]
+  ])('%s against %s is %s', (candidate, range, expected) => {
+    expect(satisfies(candidate, range)).toBe(expected);
+  });
+
+  it('treats missing parts of > and <= as wildcards', () => {
+    expect(satisfies('1.2.9', '>1.2')).toBe(false);
+    expect(satisfies('1.3.0', '>1.2')).toBe(true);
+    expect(satisfies('1.9.9', '>1')).toBe(false);
+    expect(satisfies('2.0.0', '>1')).toBe(true);
+    expect(satisfies('1.2.9', '<=1.2')).toBe(true);
+    expect(satisfies('1.3.0', '<=1.2')).toBe(false);
+    expect(satisfies('1.1.9', '<1.2')).toBe(true);
+    expect(satisfies('1.2.0', '<1.2')).toBe(false);
+  });
+
+  it('leaves prereleases out unless the range names one of the same version', () => {
+    expect(satisfies('2.0.0-beta.1', '^1.0.0')).toBe(false);
+    expect(satisfies('1.5.0-beta.1', '^1.0.0')).toBe(false);
+    expect(satisfies('1.0.0-beta.1', '*')).toBe(false);
+    expect(satisfies('1.2.3-beta.2', '^1.2.3-beta.1')).toBe(true);
+    expect(satisfies('1.2.4-beta.1', '^1.2.3-beta.1')).toBe(false);
+    expect(satisfies('1.2.3-beta.1', '1.2.3-beta.1')).toBe(true);
+    expect(satisfies('2.0.0-beta.1', '^1.0.0', { includePrerelease: true })).toBe(true);
+  });
+});
+
+describe('isValidRange', () => {
+  it('accepts the supported syntax and rejects the rest', () => {
+    expect(isValidRange('^1.2 || >=3.0.0-rc.1 <4')).toBe(true);
+    expect(isValidRange('latest')).toBe(false);
+    expect(isValidRange('^1.2.3.4')).toBe(false);
+  });
+});
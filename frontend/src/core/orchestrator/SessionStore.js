@@ -0,0 +1,150 @@
+export const SESSION_SCHEMA_VERSION = 1;
+
+const DEFAULT_STORAGE_KEY = 'etherion:session';
+const DEFAULT_PRESET_STORAGE_KEY = 'etherion:config-presets';
+const DEFAULT_SCENE_STORAGE_KEY = 'etherion:scenes';
+const DEFAULT_PERMISSION_STORAGE_KEY = 'etherion:permissions';
+
+// MIGRATIONS[n] upgrades a snapshot from version n to n + 1. Snapshots
+// written before versioning existed count as version 0.
+const MIGRATIONS = {
+  0: (snapshot) => ({
+    ...snapshot,
+    version: 1,
+    modules: (snapshot.modules || []).map(module => ({
+      config: {},
+      ...module,
+      type: module.type || module.id
+    })),
+    layers: snapshot.layers || []
+  })
+};
+
+export const migrateSnapshot = (snapshot) => {
+  let migrated = { ...snapshot };
+  let version = migrated.version || 0;
+
+  if (version > SESSION_SCHEMA_VERSION) {
+    throw new Error(`Session snapshot version ${version} is newer than supported version ${SESSION_SCHEMA_VERSION}`);
+  }
+
+  while (version < SESSION_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No session migration from version ${version}`);
+    }
+    migrated = migrate(migrated);
+    version = migrated.version;
+  }
+
+  return migrated;
+};
+
+export class LocalStorageSessionStore {
+  constructor(storageKey = DEFAULT_STORAGE_KEY, storage = window.localStorage) {
+    this.storageKey = storageKey;
+    this.storage = storage;
+  }
+
+  async load() {
+    const raw = this.storage.getItem(this.storageKey);
+    if (!raw) {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('Discarding unreadable session snapshot:', error);
+      return null;
+    }
+  }
+
+  async save(snapshot) {
+    this.storage.setItem(this.storageKey, JSON.stringify(snapshot));
+  }
+
+  async clear() {
+    this.storage.removeItem(this.storageKey);
+  }
+}
+
+// A JSON object under one localStorage key, read and written as a whole
+export class LocalStorageMapStore {
+  constructor(storageKey, storage = window.localStorage, description = 'entries') {
+    this.storageKey = storageKey;
+    this.storage = storage;
+    this.description = description;
+  }
+
+  readAll() {
+    try {
+      return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn(`Discarding unreadable ${this.description}:`, error);
+      return {};
+    }
+  }
+
+  writeAll(entries) {
+    this.storage.setItem(this.storageKey, JSON.stringify(entries));
+  }
+
+  async list() {
+    return this.readAll();
+  }
+
+  async get(key) {
+    const entries = this.readAll();
+    return Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null;
+  }
+
+  async save(key, value) {
+    this.writeAll({ ...this.readAll(), [key]: value });
+  }
+
+  async remove(key) {
+    const entries = this.readAll();
+    if (!Object.prototype.hasOwnProperty.call(entries, key)) return;
+    
+    delete entries[key];
+    this.writeAll(entries);
+  }
+}
+
+// Named module configs, kept per module type so every instance can use them
+export class LocalStorageConfigPresetStore {
+  constructor(storageKey = DEFAULT_PRESET_STORAGE_KEY, storage = window.localStorage) {
+    this.presetsByType = new LocalStorageMapStore(storageKey, storage, 'config presets');
+  }
+
+  async list(moduleType) {
+    return (await this.presetsByType.get(moduleType)) || {};
+  }
+
+  async save(moduleType, name, config) {
+    await this.presetsByType.save(moduleType, { ...(await this.list(moduleType)), [name]: config });
+  }
+
+  async remove(moduleType, name) {
+    const presets = await this.list(moduleType);
+    if (!Object.prototype.hasOwnProperty.call(presets, name)) return;
+    
+    delete presets[name];
+    await this.presetsByType.save(moduleType, presets);
+  }
+}
+
+// Named session snapshots ("scenes"), stored in the same format as the session
+export class LocalStorageSceneStore extends LocalStorageMapStore {
+  constructor(storageKey = DEFAULT_SCENE_STORAGE_KEY, storage = window.localStorage) {
+    super(storageKey, storage, 'scenes');
+  }
+}
+
+// Permission decisions per module type: { granted: [...], asked: [...] }
+export class LocalStoragePermissionStore extends LocalStorageMapStore {
+  constructor(storageKey = DEFAULT_PERMISSION_STORAGE_KEY, storage = window.localStorage) {
+    super(storageKey, storage, 'permission decisions');
+  }
+}
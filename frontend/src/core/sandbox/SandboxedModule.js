@@ -0,0 +1,436 @@
+import * as PIXI from 'pixi.js';
+
+const WORKER_URL = `${process.env.PUBLIC_URL || ''}/sandbox/module-worker.js`;
+const CALL_TIMEOUT = 10000;
+const INIT_TIMEOUT = CALL_TIMEOUT;
+
+// Main-thread stand-in for a module running in a Web Worker. The orchestrator
+// treats it like any other module instance; everything the worker asks for
+// arrives as a serialized message and is applied here.
+export class SandboxedModule {
+  constructor(id, { orchestrator, context, spriteEngine, layer, entryUrl, config }) {
+    this.id = id;
+    this.orchestrator = orchestrator;
+    this.context = context;
+    this.spriteEngine = spriteEngine;
+    this.layer = layer;
+    this.entryUrl = entryUrl;
+    this.config = config;
+    this.worker = null;
+    this.onReady = null;
+    this.scene = null;
+    // Objects the worker created while active; null while inactive
+    this.activationObjectIds = null;
+    this.nextCallId = 0;
+    this.pendingCalls = new Map();
+    this.subscriptions = new Map();
+    this.tickForwarder = null;
+  }
+
+  async start() {
+    this.worker = new Worker(WORKER_URL, { type: 'module', name: `module:${this.id}` });
+    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    this.worker.onerror = (event) => {
+      // Until 'ready' the failure belongs to start(), which the load is waiting on
+      if (this.onReady) {
+        this.onReady.reject(new Error(`Sandboxed module ${this.id} failed to start: ${event.message}`));
+        return;
+      }
+      this.orchestrator.handleModuleCrash(this.id, new Error(event.message));
+    };
+    
+    if (this.spriteEngine && this.spriteEngine.app) {
+      this.scene = new SceneProxy(this.layer || this.spriteEngine.app.stage);
+      // The proxy's container lives until unload, like any module-scope object
+      const { container } = this.scene;
+      this.context.track('display-object', container, () => {
+        if (!container.destroyed) {
+          container.destroy({ children: true });
+        }
+      }, `sandbox scene of ${this.id}`);
+    }
+    
+    let timer = null;
+    const ready = new Promise((resolve, reject) => {
+      this.onReady = { resolve, reject };
+      timer = setTimeout(() => {
+        reject(new Error(`Sandboxed module ${this.id} did not start within ${INIT_TIMEOUT}ms`));
+      }, INIT_TIMEOUT);
+    });
+    
+    this.post({
+      kind: 'init',
+      moduleId: this.id,
+      entryUrl: this.entryUrl,
+      config: this.config,
+      screen: this.getScreen()
+    });
+    
+    try {
+      await ready;
+    } catch (error) {
+      this.terminate();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      this.onReady = null;
+    }
+  }
+
+  activate() {
+    this.activationObjectIds = new Set();
+    return this.callWorker({ kind: 'lifecycle', hook: 'activate' });
+  }
+
+  // What the worker drew while active goes away with the activation, as it
+  // does for modules in this realm
+  async deactivate() {
+    try {
+      await this.callWorker({ kind: 'lifecycle', hook: 'deactivate' });
+    } finally {
+      this.clearActivationObjects();
+    }
+  }
+
+  clearActivationObjects() {
+    if (this.scene && this.activationObjectIds) {
+      this.activationObjectIds.forEach(objectId => this.scene.destroy(objectId));
+    }
+    this.activationObjectIds = null;
+  }
+
+  onConfigChange(config, previous) {
+    this.config = config;
+    return this.callWorker({ kind: 'lifecycle', hook: 'onConfigChange', args: [config, previous] });
+  }
+
+  async destroy() {
+    try {
+      await this.callWorker({ kind: 'lifecycle', hook: 'destroy' });
+    } finally {
+      this.terminate();
+    }
+  }
+
+  receiveMessage(from, message, id) {
+    this.post({ kind: 'message', from, message, id });
+  }
+
+  callWorker(message) {
+    if (!this.worker) {
+      return Promise.reject(new Error(`Sandboxed module ${this.id} is not running`));
+    }
+    
+    const callId = ++this.nextCallId;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCalls.delete(callId);
+        reject(new Error(`Sandboxed module ${this.id} did not answer ${message.hook || message.kind} within ${CALL_TIMEOUT}ms`));
+      }, CALL_TIMEOUT);
+      
+      this.pendingCalls.set(callId, { resolve, reject, timer });
+      this.post({ ...message, callId });
+    });
+  }
+
+  post(message) {
+    if (!this.worker) return false;
+    
+    try {
+      this.worker.postMessage(message);
+      return true;
+    } catch (error) {
+      // Functions, DOM nodes and PIXI objects cannot cross the boundary
+      console.warn(`Could not post ${message.kind} to sandboxed module ${this.id}:`, error);
+      return false;
+    }
+  }
+
+  handleWorkerMessage(message) {
+    switch (message.kind) {
+      case 'ready':
+        if (this.onReady) {
+          this.onReady.resolve();
+        }
+        break;
+      case 'init-failed':
+        if (this.onReady) {
+          this.onReady.reject(new Error(`Sandboxed module ${this.id} failed to start: ${message.error}`));
+        }
+        break;
+      case 'call-result':
+        this.settleCall(message);
+        break;
+      case 'send':
+        this.orchestrator.sendMessage(this.id, message.to, message.message);
+        break;
+      case 'request':
+        this.forwardRequest(message);
+        break;
+      case 'register-handler':
+        this.orchestrator.registerRequestHandler(this.id, message.type, (request, { from }) => {
+          return this.callWorker({ kind: 'handle-request', message: request, from });
+        });
+        break;
+      case 'publish':
+        this.orchestrator.publish(this.id, message.topic, message.data, { retain: message.retain });
+        break;
+      case 'subscribe':
+        this.subscriptions.set(message.subscriptionId, this.orchestrator.subscribe(this.id, message.topic, (data, meta) => {
+          this.post({ kind: 'topic', subscriptionId: message.subscriptionId, data, meta });
+        }));
+        break;
+      case 'unsubscribe':
+        this.removeSubscription(message.subscriptionId);
+        break;
+      case 'ticker':
+        if (this.mayRender()) {
+          this.setTickerEnabled(message.enabled);
+        }
+        break;
+      case 'scene':
+        if (this.mayRender()) {
+          this.applySceneOperation(message);
+        }
+        break;
+      case 'error':
+        this.orchestrator.handleModuleCrash(this.id, new Error(message.error));
+        break;
+      default:
+        console.warn(`Unknown message from sandboxed module ${this.id}: ${message.kind}`);
+    }
+  }
+
+  // Drawing without the render permission counts as a crash
+  mayRender() {
+    try {
+      this.orchestrator.assertPermission(this.id, 'render');
+      return true;
+    } catch (error) {
+      this.orchestrator.handleModuleCrash(this.id, error);
+      return false;
+    }
+  }
+
+  settleCall({ callId, data, error }) {
+    const pending = this.pendingCalls.get(callId);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingCalls.delete(callId);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(data);
+    }
+  }
+
+  async forwardRequest({ callId, to, message, timeout }) {
+    try {
+      const data = await this.orchestrator.request(this.id, to, message, timeout ? { timeout } : {});
+      if (!this.post({ kind: 'response', callId, data })) {
+        this.post({ kind: 'response', callId, error: 'Response could not be serialized for the sandbox' });
+      }
+    } catch (error) {
+      this.post({ kind: 'response', callId, error: error.message });
+    }
+  }
+
+  removeSubscription(subscriptionId) {
+    const unsubscribe = this.subscriptions.get(subscriptionId);
+    if (unsubscribe) {
+      unsubscribe();
+      this.subscriptions.delete(subscriptionId);
+    }
+  }
+
+  setTickerEnabled(enabled) {
+    if (!this.spriteEngine || !this.spriteEngine.app) return;
+    
+    if (enabled && !this.tickForwarder) {
+      this.tickForwarder = (ticker) => {
+        this.post({ kind: 'tick', deltaTime: ticker.deltaTime, screen: this.getScreen() });
+      };
+      this.spriteEngine.app.ticker.add(this.tickForwarder);
+    } else if (!enabled && this.tickForwarder) {
+      this.spriteEngine.app.ticker.remove(this.tickForwarder);
+      this.tickForwarder = null;
+    }
+  }
+
+  applySceneOperation({ op, objectId, objectType, props }) {
+    if (!this.scene) return;
+    
+    try {
+      switch (op) {
+        case 'create':
+          this.scene.create(objectId, objectType, props);
+          if (this.activationObjectIds) {
+            this.activationObjectIds.add(objectId);
+          }
+          break;
+        case 'update':
+          this.scene.update(objectId, props);
+          break;
+        case 'destroy':
+          this.scene.destroy(objectId);
+          if (this.activationObjectIds) {
+            this.activationObjectIds.delete(objectId);
+          }
+          break;
+        default:
+          console.warn(`Unknown scene operation from sandboxed module ${this.id}: ${op}`);
+      }
+    } catch (error) {
+      console.warn(`Rejected scene operation from sandboxed module ${this.id}:`, error.message);
+    }
+  }
+
+  getScreen() {
+    if (!this.spriteEngine || !this.spriteEngine.app) {
+      return { width: 0, height: 0 };
+    }
+    
+    const { width, height } = this.spriteEngine.app.screen;
+    return { width, height };
+  }
+
+  terminate() {
+    this.setTickerEnabled(false);
+    
+    for (const subscriptionId of Array.from(this.subscriptions.keys())) {
+      this.removeSubscription(subscriptionId);
+    }
+    
+    for (const pending of this.pendingCalls.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(`Sandboxed module ${this.id} terminated`));
+    }
+    this.pendingCalls.clear();
+    
+    if (this.scene) {
+      this.scene.destroyAll();
+      this.scene = null;
+    }
+    
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+export const createSandboxedModule = async (id, options) => {
+  const sandboxedModule = new SandboxedModule(id, options);
+  await sandboxedModule.start();
+  return sandboxedModule;
+};
+
+// The only display objects a sandboxed module can touch are the ones it
+// created, all kept in a container of its own.
+const TRANSFORM_PROPS = ['x', 'y', 'rotation', 'alpha', 'visible'];
+
+class SceneProxy {
+  constructor(parent) {
+    this.container = new PIXI.Container();
+    this.objects = new Map();
+    parent.addChild(this.container);
+  }
+
+  create(objectId, objectType, props = {}) {
+    if (this.objects.has(objectId)) {
+      throw new Error(`Display object ${objectId} already exists`);
+    }
+    
+    let displayObject;
+    switch (objectType) {
+      case 'rect':
+      case 'circle':
+        displayObject = new PIXI.Graphics();
+        break;
+      case 'text':
+        displayObject = new PIXI.Text({ text: '' });
+        break;
+      default:
+        throw new Error(`Unsupported display object type: ${objectType}`);
+    }
+    
+    displayObject._sandboxType = objectType;
+    displayObject._sandboxProps = {};
+    this.objects.set(objectId, displayObject);
+    this.container.addChild(displayObject);
+    this.update(objectId, props);
+    this.redraw(displayObject, null);
+  }
+
+  update(objectId, props = {}) {
+    const displayObject = this.objects.get(objectId);
+    if (!displayObject) {
+      throw new Error(`Unknown display object: ${objectId}`);
+    }
+    
+    for (const key of TRANSFORM_PROPS) {
+      if (key in props) {
+        displayObject[key] = props[key];
+      }
+    }
+    
+    if (typeof props.scale === 'number') {
+      displayObject.scale.set(props.scale);
+    }
+    
+    Object.assign(displayObject._sandboxProps, props);
+    this.redraw(displayObject, props);
+  }
+
+  // A null change set redraws everything
+  redraw(displayObject, changed) {
+    const { color = 0xffffff, width = 32, height = 32, radius = 16, text = '', fontSize } = displayObject._sandboxProps;
+    const hasChanged = (...keys) => !changed || keys.some(key => key in changed);
+    
+    switch (displayObject._sandboxType) {
+      case 'rect':
+        if (hasChanged('color', 'width', 'height')) {
+          displayObject.clear();
+          displayObject.beginFill(color);
+          displayObject.drawRect(0, 0, width, height);
+          displayObject.endFill();
+        }
+        break;
+      case 'circle':
+        if (hasChanged('color', 'radius')) {
+          displayObject.clear();
+          displayObject.beginFill(color);
+          displayObject.drawCircle(0, 0, radius);
+          displayObject.endFill();
+        }
+        break;
+      case 'text':
+        if (hasChanged('text')) {
+          displayObject.text = String(text);
+        }
+        if (hasChanged('color')) {
+          displayObject.style.fill = color;
+        }
+        if (fontSize && hasChanged('fontSize')) {
+          displayObject.style.fontSize = fontSize;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  destroy(objectId) {
+    const displayObject = this.objects.get(objectId);
+    if (!displayObject) return;
+    
+    this.objects.delete(objectId);
+    displayObject.destroy();
+  }
+
+  destroyAll() {
+    this.objects.clear();
+    this.container.destroy({ children: true });
+  }
+}
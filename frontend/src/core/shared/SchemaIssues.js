@@ -0,0 +1,4 @@
+// One line per zod issue, for error messages that name the offending field
+export const formatSchemaIssues = (error) => error.issues
+  .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+  .join('; ');
@@ -0,0 +1,145 @@
+import * as PIXI from 'pixi.js';
+
+// The ticker stops in background tabs; lifecycle steps must not wait on it forever
+const TWEEN_GRACE = 500;
+
+const EASINGS = {
+  linear: progress => progress,
+  easeIn: progress => progress * progress,
+  easeOut: progress => 1 - (1 - progress) * (1 - progress),
+  easeInOut: progress => (progress < 0.5
+    ? 2 * progress * progress
+    : 1 - 2 * (1 - progress) * (1 - progress))
+};
+
+const SLIDE_VECTORS = {
+  left: [-1, 0],
+  right: [1, 0],
+  up: [0, -1],
+  down: [0, 1]
+};
+
+// Runs onFrame(progress) on every tick until duration has passed
+const tween = (app, duration, onFrame) => new Promise(resolve => {
+  const { ticker } = app;
+  if (duration <= 0 || !ticker || !ticker.started) {
+    onFrame(1);
+    resolve();
+    return;
+  }
+
+  let elapsed = 0;
+  let fallback = null;
+
+  const finish = () => {
+    ticker.remove(update);
+    clearTimeout(fallback);
+    onFrame(1);
+    resolve();
+  };
+
+  const update = ({ deltaMS }) => {
+    elapsed += deltaMS;
+    if (elapsed >= duration) {
+      finish();
+    } else {
+      onFrame(elapsed / duration);
+    }
+  };
+
+  fallback = setTimeout(finish, duration + TWEEN_GRACE);
+  ticker.add(update);
+});
+
+// amount 0 is the layer at rest, 1 fully hidden. Layers enter from the
+// opposite side of "direction" and leave towards it.
+const applyHiddenAmount = (layer, transition, amount, phase, screen) => {
+  switch (transition.type) {
+    case 'fade':
+      layer.alpha = 1 - amount;
+      break;
+    case 'slide': {
+      const [x, y] = SLIDE_VECTORS[transition.direction];
+      const sign = phase === 'enter' ? -1 : 1;
+      layer.position.set(sign * x * screen.width * amount, sign * y * screen.height * amount);
+      break;
+    }
+    case 'scale':
+      // Scale around the middle of the screen rather than the top-left corner
+      layer.pivot.set(screen.width / 2, screen.height / 2);
+      layer.position.set(screen.width / 2, screen.height / 2);
+      layer.scale.set(1 - amount);
+      layer.alpha = 1 - amount;
+      break;
+    default:
+      break;
+  }
+};
+
+export const resetLayerTransform = (layer) => {
+  if (layer.destroyed) return;
+
+  layer.alpha = 1;
+  layer.position.set(0, 0);
+  layer.pivot.set(0, 0);
+  layer.scale.set(1);
+};
+
+// Hides the layer before the module starts drawing into it, so nothing pops in
+export const prepareLayerEnter = (app, layer, transition) => {
+  applyHiddenAmount(layer, transition, 1, 'enter', app.screen);
+};
+
+// Exit transitions leave the layer hidden; reset it once its content is gone
+export const playLayerTransition = async (app, layer, transition, phase) => {
+  if (transition.type === 'none') return;
+
+  const ease = EASINGS[transition.easing];
+  await tween(app, transition.duration, (progress) => {
+    if (layer.destroyed) return;
+    
+    const eased = ease(progress);
+    applyHiddenAmount(layer, transition, phase === 'enter' ? 1 - eased : eased, phase, app.screen);
+  });
+
+  if (phase === 'enter') {
+    resetLayerTransform(layer);
+  }
+};
+
+// Freezes the current picture of a container into a render texture laid over
+// it, applies the change underneath, then fades old picture out and new in
+export const crossfade = async (app, container, change, {
+  duration = 400,
+  easing = 'easeInOut',
+  onSnapshot = () => {}
+} = {}) => {
+  const texture = PIXI.RenderTexture.create({
+    width: app.screen.width,
+    height: app.screen.height,
+    resolution: app.renderer.resolution
+  });
+  app.renderer.render({ container, target: texture });
+
+  const snapshot = new PIXI.Sprite(texture);
+  snapshot.label = 'crossfade-snapshot';
+  onSnapshot(snapshot);
+  container.parent.addChildAt(snapshot, container.parent.getChildIndex(container) + 1);
+  container.alpha = 0;
+
+  try {
+    const result = await change();
+    
+    const ease = EASINGS[easing];
+    await tween(app, duration, (progress) => {
+      const eased = ease(progress);
+      snapshot.alpha = 1 - eased;
+      container.alpha = eased;
+    });
+    return result;
+  } finally {
+    container.alpha = 1;
+    snapshot.destroy();
+    texture.destroy(true);
+  }
+};
@@ -7,6 +7,8 @@ export class SpriteEngine {
     this.activeSprites = new Set();
     this.animationController = null;
     this.assetManager = null;
+    this.layerRoot = null;
+    this.layers = new Map();
     this.isInitialized = false;
     this.performanceMetrics = {
       fps: 0,
@@ -47,6 +49,9 @@ export class SpriteEngine {
       // Create default background
       this.createBackground();
       
+      // Module layers render above the background
+      this.createLayerRoot();
+      
       this.isInitialized = true;
       console.log('Sprite Engine initialized successfully');
       
@@ -73,6 +78,7 @@ export class SpriteEngine {
         this.resizeCanvas();
       });
     };
+    this.handleResize = handleResize;
 
     // Use both ResizeObserver and window resize as fallback
     if (window.ResizeObserver) {
@@ -227,6 +233,76 @@ export class SpriteEngine {
     }
   }
 
+  createLayerRoot() {
+    this.layerRoot = new PIXI.Container();
+    this.layerRoot.label = 'module-layers';
+    this.layerRoot.sortableChildren = true;
+    this.app.stage.addChild(this.layerRoot);
+  }
+
+  createLayer(layerId) {
+    if (this.layers.has(layerId)) {
+      throw new Error(`Layer already exists: ${layerId}`);
+    }
+    
+    const layer = new PIXI.Container();
+    layer.label = `layer:${layerId}`;
+    
+    // New layers start in front of everything else
+    const zIndices = Array.from(this.layers.values()).map(existing => existing.zIndex);
+    layer.zIndex = zIndices.length > 0 ? Math.max(...zIndices) + 1 : 0;
+    
+    this.layers.set(layerId, layer);
+    this.layerRoot.addChild(layer);
+    return layer;
+  }
+
+  getLayer(layerId) {
+    return this.layers.get(layerId) || null;
+  }
+
+  removeLayer(layerId) {
+    const layer = this.layers.get(layerId);
+    if (!layer) return;
+    
+    this.layers.delete(layerId);
+    layer.destroy({ children: true });
+  }
+
+  // Layer ids from back to front
+  getLayerOrder() {
+    return Array.from(this.layers.entries())
+      .sort(([, a], [, b]) => a.zIndex - b.zIndex)
+      .map(([layerId]) => layerId);
+  }
+
+  setLayerOrder(layerIds) {
+    // Layers missing from the list keep their relative order behind the others
+    const remaining = this.getLayerOrder().filter(layerId => !layerIds.includes(layerId));
+    const order = [...remaining, ...layerIds.filter(layerId => this.layers.has(layerId))];
+    
+    order.forEach((layerId, index) => {
+      this.layers.get(layerId).zIndex = index;
+    });
+  }
+
+  setLayerZIndex(layerId, zIndex) {
+    const layer = this.layers.get(layerId);
+    if (!layer) {
+      throw new Error(`Unknown layer: ${layerId}`);
+    }
+    layer.zIndex = zIndex;
+  }
+
+  bringLayerToFront(layerId) {
+    this.setLayerOrder([...this.getLayerOrder().filter(id => id !== layerId), layerId]);
+  }
+
+  sendLayerToBack(layerId) {
+    const order = this.getLayerOrder().filter(id => id !== layerId);
+    this.setLayerOrder([layerId, ...order]);
+  }
+
   async loadSpriteSheet(url, data) {
     try {
       const texture = await PIXI.Assets.load(url);
@@ -308,12 +384,18 @@ export class SpriteEngine {
   }
 
   destroy() {
+    if (!this.app) return;
+    
     console.log('Destroying Sprite Engine...');
     
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
     
+    if (this.handleResize) {
+      window.removeEventListener('resize', this.handleResize);
+    }
+    
     if (this.resizeTimeout) {
       clearTimeout(this.resizeTimeout);
     }
@@ -324,10 +406,11 @@ export class SpriteEngine {
     
     this.activeSprites.clear();
     this.spriteSheets.clear();
+    this.layers.clear();
     
-    if (this.app) {
-      this.app.destroy(true, true);
-    }
+    // Removes the canvas as well; every engine gets a canvas of its own
+    this.app.destroy(true, true);
+    this.app = null;
     
     this.isInitialized = false;
     console.log('Sprite Engine destroyed');
@@ -0,0 +1,92 @@
+import { createContext, useContext, useEffect, useRef, useState } from 'react';
+
+// Everything that can change what getModules() returns
+const MODULE_EVENTS = [
+  'module-transition',
+  'module-loaded',
+  'module-activated',
+  'module-deactivated',
+  'module-unloaded',
+  'module-error',
+  'module-restart-scheduled',
+  'module-disabled',
+  'module-enabled',
+  'permissions-changed',
+  'config-changed',
+  'remote-state-changed'
+];
+
+const TYPE_EVENTS = ['module-registered', 'remote-state-changed'];
+
+const DEFAULT_BUS_HISTORY = 200;
+
+const EMPTY_LIST = [];
+
+export const OrchestratorContext = createContext(null);
+
+export const useOrchestrator = () => useContext(OrchestratorContext);
+
+// Re-reads orchestrator state whenever one of the given events fires
+const useOrchestratorState = (read, events, initialValue) => {
+  const orchestrator = useOrchestrator();
+  const readRef = useRef(read);
+  readRef.current = read;
+
+  const [state, setState] = useState(() => (orchestrator ? read(orchestrator) : initialValue));
+
+  useEffect(() => {
+    if (!orchestrator) {
+      setState(initialValue);
+      return undefined;
+    }
+    
+    const update = () => setState(readRef.current(orchestrator));
+    update();
+    
+    events.forEach(event => orchestrator.on(event, update));
+    return () => {
+      events.forEach(event => orchestrator.off(event, update));
+    };
+  }, [orchestrator, events, initialValue]);
+
+  return state;
+};
+
+export const useModules = () => useOrchestratorState(
+  orchestrator => orchestrator.getModules(),
+  MODULE_EVENTS,
+  EMPTY_LIST
+);
+
+export const useModule = (moduleId) => {
+  const modules = useModules();
+  return modules.find(module => module.id === moduleId) || null;
+};
+
+export const useModuleTypes = () => useOrchestratorState(
+  orchestrator => orchestrator.getModuleTypes(),
+  TYPE_EVENTS,
+  EMPTY_LIST
+);
+
+// The most recent bus traffic, newest last
+export const useBusEvents = (limit = DEFAULT_BUS_HISTORY) => {
+  const orchestrator = useOrchestrator();
+  const [events, setEvents] = useState(EMPTY_LIST);
+
+  useEffect(() => {
+    setEvents(EMPTY_LIST);
+    if (!orchestrator) return undefined;
+    
+    const handleBusEvent = ({ channel, detail, depth }) => {
+      setEvents(prev => [...prev, { channel, depth, ...detail }].slice(-limit));
+    };
+    
+    orchestrator.on('bus-event', handleBusEvent);
+    return () => {
+      orchestrator.off('bus-event', handleBusEvent);
+    };
+  }, [orchestrator, limit]);
+
+  return events;
+};
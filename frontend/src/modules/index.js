@@ -0,0 +1,17 @@
+// Built-in modules are discovered from their module.json manifests at build
+// time; entry files are split into their own chunks and imported on demand.
+const manifestContext = require.context('./', true, /^\.\/[^/]+\/module\.json$/);
+
+export const builtInModules = manifestContext.keys().map((key) => {
+  const directory = key.split('/')[1];
+  const manifest = manifestContext(key);
+  
+  return {
+    manifest,
+    load: () => import(
+      /* webpackChunkName: "module-[request]" */
+      /* webpackInclude: /\.js$/ */
+      `./${directory}/${manifest.entry}`
+    )
+  };
+});
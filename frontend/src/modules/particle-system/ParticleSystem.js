@@ -0,0 +1,91 @@
+import * as PIXI from 'pixi.js';
+
+export default class ParticleSystem {
+  constructor(id, context, config) {
+    this.id = id;
+    this.context = context;
+    this.config = config;
+    this.particles = [];
+    this.isActive = false;
+  }
+
+  async activate() {
+    if (this.isActive) return;
+    
+    console.log(`Activating Particle System module: ${this.id}`);
+    
+    this.createParticleEffect();
+    this.isActive = true;
+  }
+
+  async deactivate() {
+    if (!this.isActive) return;
+    
+    console.log(`Deactivating Particle System module: ${this.id}`);
+    
+    // Particles and the ticker are released by the module context
+    this.particles = [];
+    
+    this.isActive = false;
+  }
+
+  async onConfigChange(config) {
+    this.config = config;
+    
+    // Fresh particles pick up the new count, size, colour, speed and decay
+    if (this.isActive) {
+      this.particles.forEach(particle => this.context.release(particle));
+      this.particles = [];
+      this.addParticles();
+    }
+  }
+
+  createParticleEffect() {
+    if (!this.context.app) return;
+    
+    this.addParticles();
+    
+    // Animation ticker
+    this.context.addTicker(() => {
+      this.particles.forEach((particle, index) => {
+        particle.x += particle.vx;
+        particle.y += particle.vy;
+        particle.life -= particle.decay;
+        particle.alpha = particle.life;
+        
+        if (particle.life <= 0) {
+          this.resetParticle(particle);
+        }
+      });
+    });
+  }
+
+  addParticles() {
+    const { particleCount, particleSize, randomColors, color } = this.config;
+    
+    // Create particles
+    for (let i = 0; i < particleCount; i++) {
+      const particle = new PIXI.Graphics();
+      particle.beginFill(randomColors ? 0xFFFFFF * Math.random() : color);
+      particle.drawCircle(0, 0, particleSize);
+      particle.endFill();
+      
+      this.resetParticle(particle);
+      
+      this.context.addChild(particle);
+      this.particles.push(particle);
+    }
+  }
+
+  resetParticle(particle) {
+    // Read the screen every time so particles follow canvas resizes
+    const { width, height } = this.context.app.screen;
+    
+    particle.x = width / 2;
+    particle.y = height / 2;
+    particle.vx = (Math.random() - 0.5) * this.config.speed;
+    particle.vy = (Math.random() - 0.5) * this.config.speed;
+    particle.decay = this.config.decay;
+    particle.life = 1.0;
+  }
+}
@@ -0,0 +1,90 @@
+import * as PIXI from 'pixi.js';
+
+export default class SpriteDemo {
+  constructor(id, context, config) {
+    this.id = id;
+    this.context = context;
+    this.config = config;
+    this.sprites = [];
+    this.isActive = false;
+  }
+
+  async activate() {
+    if (this.isActive) return;
+    
+    console.log(`Activating Sprite Demo module: ${this.id}`);
+    
+    // Create demo sprites
+    await this.createDemoSprites();
+    
+    this.isActive = true;
+  }
+
+  async deactivate() {
+    if (!this.isActive) return;
+    
+    console.log(`Deactivating Sprite Demo module: ${this.id}`);
+    
+    // Sprites and the animation ticker are released by the module context
+    this.sprites = [];
+    
+    this.isActive = false;
+  }
+
+  async onConfigChange(config) {
+    this.config = config;
+    
+    // Rebuild the sprites so count, size and colours take effect
+    if (this.isActive) {
+      this.sprites.forEach(sprite => this.context.release(sprite));
+      this.sprites = [];
+      this.addSprites();
+    }
+  }
+
+  // Declared in the manifest's message contract
+  receiveMessage(from, message) {
+    if (message.type === 'tint') {
+      this.sprites.forEach(sprite => {
+        sprite.tint = message.color;
+      });
+    }
+  }
+
+  async createDemoSprites() {
+    if (!this.context.app) return;
+    
+    this.addSprites();
+    
+    // Start animation
+    this.context.addTicker(() => {
+      const speed = this.config.animationSpeed;
+      this.sprites.forEach((sprite, index) => {
+        sprite.y = sprite._originalY + Math.sin(Date.now() * 0.005 * speed + sprite._animationOffset) * 30;
+        sprite.rotation += 0.02 * speed;
+      });
+    });
+  }
+
+  addSprites() {
+    const { spriteCount, spriteSize, randomColors, color } = this.config;
+    
+    // Create colorful rectangles as demo sprites
+    for (let i = 0; i < spriteCount; i++) {
+      const graphics = new PIXI.Graphics();
+      graphics.beginFill(randomColors ? Math.random() * 0xFFFFFF : color);
+      graphics.drawRect(0, 0, spriteSize, spriteSize);
+      graphics.endFill();
+      
+      graphics.x = 100 + i * (spriteSize + 30);
+      graphics.y = 100 + Math.sin(i) * 50;
+      
+      // Add simple animation
+      graphics._originalY = graphics.y;
+      graphics._animationOffset = i * 0.5;
+      
+      this.context.addChild(graphics);
+      this.sprites.push(graphics);
+    }
+  }
+}
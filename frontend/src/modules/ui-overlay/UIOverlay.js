@@ -0,0 +1,25 @@
+export default class UIOverlay {
+  constructor(id, context) {
+    this.id = id;
+    this.context = context;
+    this.isActive = false;
+  }
+
+  async activate() {
+    if (this.isActive) return;
+    
+    console.log(`Activating UI Overlay module: ${this.id}`);
+    this.isActive = true;
+  }
+
+  async deactivate() {
+    if (!this.isActive) return;
+    
+    console.log(`Deactivating UI Overlay module: ${this.id}`);
+    this.isActive = false;
+  }
+
+  destroy() {
+    this.deactivate();
+  }
+}
\ No newline at end of file